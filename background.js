@@ -0,0 +1,1084 @@
+// Background service worker - owns the location request queue for every x.com tab
+// so all tabs share one rate limit and one backoff state
+
+importScripts('settings.js', 'lookupStatus.js', 'lookupPriority.js', 'sightings.js', 'locationStore.js', 'siteControls.js');
+
+// Rate limiting (interval, batch size, queue size and backoff are user settings, see settings.js)
+const MAX_CONCURRENT_REQUESTS = 1;
+const BATCH_GATHER_DELAY = 100; // ms to let lookups sent together by a tab join the same batch
+const RATE_LIMIT_RESERVE = 2; // Requests of each window's budget left unused, so pacing stops short of a 429
+
+// Backoff state is kept in session storage so it survives the worker being suspended
+const RATE_LIMIT_STATE_KEY = 'rate_limit_state';
+
+// Live queue status for the popup and toolbar badge, in session storage so it lasts the browser session
+const QUEUE_STATUS_KEY = 'queue_status';
+const QUEUE_STATUS_DELAY = 250; // ms - status changes are written at most this often
+const BADGE_COLORS = { queued: '#1d9bf0', waiting: '#ffad1f', paused: '#f4212e' };
+
+// Popup statistics - accounts per location among unexpired cache entries, cached since the last reset
+const STATS_KEY = 'location_stats';
+const STATS_RESET_KEY = 'location_stats_reset';
+const STATS_UPDATE_DELAY = 5000; // ms after the last cache write before recounting
+
+// Set while X rejects our AboutAccountQuery (stale query ID the page script couldn't replace)
+// so the popup can say so instead of showing missing flags
+const ENDPOINT_STATUS_KEY = 'endpoint_status';
+const ENDPOINT_BROKEN_ERROR = 'Location endpoint broken - X changed its API and the new query ID has not been found yet';
+
+const TWITTER_TAB_URLS = ['https://x.com/*', 'https://twitter.com/*'];
+
+// Global on/off switch, also written by the popup (see popup.js)
+const TOGGLE_KEY = 'extension_enabled';
+const DEFAULT_ENABLED = true;
+
+// Right-click menu on profile links - each item is handled by the tab's content script (contextActions.js)
+const CONTEXT_MENU_PARENT = 'account-location';
+const CONTEXT_MENU_ACTIONS = {
+  lookup: 'Look up location',
+  refresh: 'Refresh cached location',
+  copy: 'Copy location',
+  exclude: 'Exclude this account'
+};
+const PROFILE_LINK_PATTERN = /^https:\/\/(?:www\.|mobile\.)?(?:x|twitter)\.com\/([A-Za-z0-9_]{1,15})(?:[/?#]|$)/;
+const RESERVED_ROUTES = ['home', 'explore', 'notifications', 'messages', 'i', 'compose', 'search',
+  'settings', 'bookmarks', 'lists', 'communities', 'hashtag', 'tos', 'privacy'];
+
+// Transient failures (timeouts, server and auth errors) are retried after these delays, then dropped
+// The queue is kept in session storage and woken by an alarm, since the worker is suspended long before 15 minutes
+const RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000]; // ms
+const RETRY_QUEUE_KEY = 'retry_queue';
+const RETRY_ALARM = 'retry-queue';
+
+// User settings, kept up to date when changed on the options page
+let settings = getDefaultSettings();
+const settingsReady = loadSettings().then(loaded => {
+  settings = loaded;
+});
+onSettingsChanged(updated => {
+  settings = updated;
+  console.log('Settings updated:', settings);
+});
+
+// Rate limiting state (shared across all tabs)
+// Queued requests: { screenName, tabId, requesters: Map<requester, rank>, sequence, resolve, reject }
+// Each requester (a tab, or the retry queue) keeps its own priority; the highest one counts
+const requestQueue = [];
+let queueSequence = 0;
+let isProcessingQueue = false;
+let lastRequestTime = 0;
+let lastBatchSize = 0; // Requests in the last round trip, to pace the next one against the budget
+let activeRequests = 0;
+let rateLimitResetTime = 0; // Unix timestamp when rate limit resets
+let consecutiveRateLimits = 0; // Track consecutive rate limits for exponential backoff
+let rateLimitBudget = null; // Last x-rate-limit-* headers seen: { limit, remaining, reset (Unix seconds) }
+let budgetResumeTimeout = null; // Set while the queue is held until the spent budget resets
+
+// Track in-flight lookups so tabs asking for the same username share one API call
+// Map<username, Promise<{location, status, isRateLimited, transient}>>
+const pendingLookups = new Map();
+
+// Accounts whose last lookup failed transiently: Map<username, {status, attempts, nextAttempt, tabId, inFlight}>
+// (inFlight isn't saved - a retry the suspended worker was running is simply due again)
+const retryQueue = new Map();
+
+// Restore backoff state from before the worker was suspended
+async function loadRateLimitState() {
+  try {
+    const result = await chrome.storage.session.get(RATE_LIMIT_STATE_KEY);
+    const state = result[RATE_LIMIT_STATE_KEY];
+    if (state) {
+      rateLimitResetTime = state.resetTime || 0;
+      consecutiveRateLimits = state.consecutiveRateLimits || 0;
+      rateLimitBudget = state.budget || null;
+    }
+  } catch (error) {
+    console.error('Error loading rate limit state:', error);
+  }
+}
+
+function saveRateLimitState() {
+  chrome.storage.session.set({
+    [RATE_LIMIT_STATE_KEY]: {
+      resetTime: rateLimitResetTime,
+      consecutiveRateLimits,
+      budget: rateLimitBudget
+    }
+  }).catch(error => console.error('Error saving rate limit state:', error));
+}
+
+const rateLimitStateReady = loadRateLimitState();
+
+// Restore retries scheduled before the worker was suspended
+async function loadRetryQueue() {
+  try {
+    const result = await chrome.storage.session.get(RETRY_QUEUE_KEY);
+    for (const [screenName, { status, attempts, nextAttempt, tabId }] of Object.entries(result[RETRY_QUEUE_KEY] || {})) {
+      retryQueue.set(screenName, { status, attempts, nextAttempt, tabId });
+    }
+  } catch (error) {
+    console.error('Error loading retry queue:', error);
+  }
+}
+
+function saveRetryQueue() {
+  const saved = {};
+  for (const [screenName, { status, attempts, nextAttempt, tabId }] of retryQueue) {
+    saved[screenName] = { status, attempts, nextAttempt, tabId };
+  }
+  chrome.storage.session.set({ [RETRY_QUEUE_KEY]: saved })
+    .catch(error => console.error('Error saving retry queue:', error));
+}
+
+const retryQueueReady = loadRetryQueue();
+
+// Counters shown in the popup: { requestsMade, cacheHits, cacheMisses, lastError: { message, at } }
+// cacheHits includes those answered from the tabs' in-memory caches, which they report in batches
+let queueCounters = { requestsMade: 0, cacheHits: 0, cacheMisses: 0, lastError: null };
+let queueStatusTimeout = null;
+let rateLimitEndTimeout = null;
+
+// Restore the session's counters from before the worker was suspended
+async function loadQueueCounters() {
+  try {
+    const result = await chrome.storage.session.get(QUEUE_STATUS_KEY);
+    const status = result[QUEUE_STATUS_KEY];
+    if (status) {
+      const { requestsMade, cacheHits, cacheMisses, lastError } = status;
+      queueCounters = { requestsMade, cacheHits, cacheMisses, lastError };
+    }
+  } catch (error) {
+    console.error('Error loading queue status:', error);
+  }
+}
+
+const queueCountersReady = loadQueueCounters();
+updateQueueStatus(); // Clear a badge left by a worker that was suspended with requests queued
+
+// Schedule a status write - call after anything that changes the queue, the counters or the rate limit
+function updateQueueStatus() {
+  if (!queueStatusTimeout) {
+    queueStatusTimeout = setTimeout(publishQueueStatus, QUEUE_STATUS_DELAY);
+  }
+}
+
+// Write the status for the popup and show it on the badge: queue length, or a pause sign while rate limited
+// state is 'idle', 'fetching' (requests queued or in flight), 'budget_wait' (requests held until the
+// budget resets at resetTime) or 'rate_limited' (until resetTime)
+async function publishQueueStatus() {
+  queueStatusTimeout = null;
+  await Promise.all([rateLimitStateReady, queueCountersReady]);
+
+  const rateLimited = isRateLimited();
+  const budgetWait = !rateLimited && !!budgetResumeTimeout && requestQueue.length > 0;
+  const busy = requestQueue.length > 0 || activeRequests > 0;
+  const status = {
+    state: rateLimited ? 'rate_limited' : budgetWait ? 'budget_wait' : busy ? 'fetching' : 'idle',
+    resetTime: rateLimited ? rateLimitResetTime : budgetWait ? rateLimitBudget.reset : null,
+    queueLength: requestQueue.length,
+    ...queueCounters
+  };
+  chrome.storage.session.set({ [QUEUE_STATUS_KEY]: status })
+    .catch(error => console.error('Error saving queue status:', error));
+
+  chrome.action.setBadgeText({ text: rateLimited ? '⏸' : requestQueue.length > 0 ? String(requestQueue.length) : '' });
+  chrome.action.setBadgeBackgroundColor({
+    color: rateLimited ? BADGE_COLORS.paused : budgetWait ? BADGE_COLORS.waiting : BADGE_COLORS.queued
+  });
+
+  // Nothing else may change once the rate limit ends with an empty queue, so clear the pause sign then
+  clearTimeout(rateLimitEndTimeout);
+  if (rateLimited) {
+    rateLimitEndTimeout = setTimeout(updateQueueStatus, (rateLimitResetTime - Math.floor(Date.now() / 1000) + 1) * 1000);
+  }
+}
+
+function recordQueueError(message) {
+  queueCounters.lastError = { message, at: Date.now() };
+  updateQueueStatus();
+}
+
+function countQueueEvent(counter, amount = 1) {
+  queueCounters[counter] += amount;
+  updateQueueStatus();
+}
+
+// Move any cache left in chrome.storage.local by older versions into IndexedDB
+const storeReady = migrateLegacyCache().catch(error => {
+  console.error('Error migrating legacy cache:', error);
+});
+
+let statsTimeout = null;
+
+// Recount the statistics from the store (debounced, so a burst of writes only triggers one pass)
+function scheduleStatsUpdate() {
+  if (statsTimeout) return;
+  statsTimeout = setTimeout(() => {
+    statsTimeout = null;
+    updateLocationStats().catch(error => console.error('Error updating statistics:', error));
+  }, STATS_UPDATE_DELAY);
+}
+
+async function updateLocationStats() {
+  await storeReady;
+  const result = await chrome.storage.local.get(STATS_RESET_KEY);
+  const stats = await countCachedLocations(result[STATS_RESET_KEY] || 0);
+  await chrome.storage.local.set({ [STATS_KEY]: stats });
+}
+
+// Start counting afresh - only accounts cached from now on are counted
+async function resetLocationStats() {
+  await chrome.storage.local.set({ [STATS_RESET_KEY]: Date.now(), [STATS_KEY]: {} });
+  console.log('Statistics reset');
+}
+
+// Each cacheable status has its own TTL setting (see LOOKUP_STATUS_EXPIRY_SETTINGS)
+function calculateExpiry(status, now = Date.now()) {
+  const days = settings[LOOKUP_STATUS_EXPIRY_SETTINGS[status]];
+  return now + (days * 24 * 60 * 60 * 1000);
+}
+
+// Build a cache entry, recording the location in the account's history
+// so a changed location carries the previous value along
+// details: { status, aboutProfile, accountInfo } from the page script (status defaults from the location)
+async function buildCacheEntry(username, location, details = {}, now = Date.now()) {
+  const status = getLookupStatus({ status: details.status, location });
+  let change = null;
+  if (location !== null) {
+    try {
+      change = await recordLocationHistory(username, location, now);
+    } catch (error) {
+      console.error(`Error recording history for ${username}:`, error);
+    }
+  }
+
+  return {
+    username,
+    location,
+    status,
+    expiry: calculateExpiry(status, now),
+    cachedAt: now,
+    previousLocation: change?.previousLocation || null,
+    changedAt: change?.changedAt || null,
+    aboutProfile: details.aboutProfile || null,
+    accountInfo: details.accountInfo || null
+  };
+}
+
+// Persist a fetched result and return the entry as sent to content scripts
+async function saveCacheEntry(username, location, details) {
+  const entry = await buildCacheEntry(username, location, details);
+  if (retryQueue.delete(username)) {
+    saveRetryQueue();
+  }
+
+  try {
+    await putCacheEntry(entry);
+    scheduleStatsUpdate();
+  } catch (error) {
+    console.error(`Error saving cache entry for ${username}:`, error);
+  }
+  return entry;
+}
+
+// Persist locations the page script captured from Twitter's own responses,
+// answering any queued request for those accounts without an API call
+async function saveCapturedLocations(locations) {
+  await Promise.all([settingsReady, storeReady]);
+
+  const now = Date.now();
+  const entries = [];
+  for (const { screenName, location, aboutProfile, accountInfo } of locations) {
+    entries.push(await buildCacheEntry(screenName, location, { aboutProfile, accountInfo }, now));
+    if (retryQueue.delete(screenName)) {
+      saveRetryQueue();
+    }
+  }
+
+  try {
+    await putCacheEntries(entries);
+    scheduleStatsUpdate();
+  } catch (error) {
+    console.error('Error saving captured locations:', error);
+  }
+
+  for (const entry of entries) {
+    const queuedIndex = requestQueue.findIndex(item => item.screenName === entry.username);
+    if (queuedIndex !== -1) {
+      const [queued] = requestQueue.splice(queuedIndex, 1);
+      console.log(`✅ Captured location answers queued request for @${entry.username}`);
+      const { username, ...result } = entry;
+      queued.resolve(result);
+    }
+  }
+
+  return entries;
+}
+
+// Merge entries from an import file into the store
+// strategy: 'newer' keeps whichever entry was cached last, 'existing' never overwrites,
+// 'imported' always overwrites. Expired entries in either side count as missing.
+async function importCacheEntries(entries, strategy = 'newer') {
+  await Promise.all([settingsReady, storeReady]);
+
+  const now = Date.now();
+  const existing = await getCacheEntries(entries.map(entry => entry.username));
+  const toWrite = [];
+  const counts = { added: 0, updated: 0, skipped: 0, expired: 0 };
+
+  for (const imported of entries) {
+    const status = getLookupStatus(imported);
+    if (isTransientStatus(status)) {
+      counts.expired++;
+      continue;
+    }
+    // The file's times aren't trusted: an entry can't be cached in the future or outlive its status's TTL,
+    // so a made-up file can't pin a location past what a real lookup would have been kept for
+    const cachedAt = Math.min(imported.cachedAt || now, now);
+    const maxExpiry = calculateExpiry(status, cachedAt);
+    const entry = {
+      username: imported.username,
+      location: imported.location ?? null,
+      status,
+      cachedAt,
+      expiry: Math.min(imported.expiry || maxExpiry, maxExpiry)
+    };
+    if (entry.expiry <= now) {
+      counts.expired++;
+      continue;
+    }
+
+    const current = existing.get(entry.username);
+    if (!current || current.expiry <= now) {
+      toWrite.push(entry);
+      counts.added++;
+    } else if (strategy === 'imported' || (strategy === 'newer' && entry.cachedAt > current.cachedAt)) {
+      // Keep details the file doesn't carry, unless the location itself changed
+      toWrite.push(current.location === entry.location ? { ...current, ...entry } : entry);
+      counts.updated++;
+    } else {
+      counts.skipped++;
+    }
+  }
+
+  await putCacheEntries(toWrite);
+  scheduleStatsUpdate();
+  console.log(`📥 Imported cache: ${counts.added} added, ${counts.updated} updated, ${counts.skipped} kept, ${counts.expired} expired`);
+
+  if (toWrite.length > 0) {
+    notifyTabsCacheUpdated();
+  }
+  return counts;
+}
+
+// Tell open x.com tabs to drop their in-memory copy of the cache
+async function notifyTabsCacheUpdated() {
+  const tabs = await chrome.tabs.query({ url: TWITTER_TAB_URLS });
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, { type: 'cacheUpdated' }).catch(() => {
+      // Tab has no content script (e.g. still loading)
+    });
+  }
+}
+
+// Queue a transient failure for another attempt, or give up after the last retry delay
+function scheduleRetry(screenName, tabId, status) {
+  const attempts = retryQueue.get(screenName)?.attempts || 0;
+  if (attempts >= RETRY_DELAYS.length) {
+    console.warn(`🔁 Giving up on @${screenName} after ${attempts} retries (${status})`);
+    retryQueue.delete(screenName);
+    saveRetryQueue();
+    return;
+  }
+
+  retryQueue.set(screenName, {
+    status,
+    attempts: attempts + 1,
+    nextAttempt: Date.now() + RETRY_DELAYS[attempts],
+    tabId
+  });
+  console.log(`🔁 @${screenName} failed (${status}), retry ${attempts + 1}/${RETRY_DELAYS.length} in ${RETRY_DELAYS[attempts] / 1000}s`);
+  saveRetryQueue();
+  scheduleRetryCheck();
+}
+
+// Set the alarm for the next due retry (an alarm wakes the worker again if it was suspended meanwhile)
+function scheduleRetryCheck() {
+  const waiting = Array.from(retryQueue.values()).filter(retry => !retry.inFlight);
+  if (waiting.length === 0) {
+    chrome.alarms.clear(RETRY_ALARM).catch(() => {});
+    return;
+  }
+  const nextAttempt = Math.min(...waiting.map(retry => retry.nextAttempt));
+  chrome.alarms.create(RETRY_ALARM, { when: Math.max(nextAttempt, Date.now() + 1000) })
+    .catch(error => console.error('Error scheduling retry check:', error));
+}
+
+// Re-request due retries while the queue has room, and push answers to open tabs
+function processRetryQueue() {
+  const now = Date.now();
+  for (const [screenName, retry] of retryQueue) {
+    if (retry.inFlight || retry.nextAttempt > now) continue;
+    if (requestQueue.length >= settings.maxQueueSize) break;
+
+    retry.inFlight = true;
+    lookupLocation(screenName, retry.tabId, { priority: LOOKUP_PRIORITY.PREFETCH, requester: 'retry' })
+      .then(result => {
+        if (result.expiry) {
+          notifyTabsLocationResolved(screenName, result);
+        }
+      })
+      .catch(error => {
+        // Rate limited or queue full - try again after the same delay
+        console.log(`🔁 Retry for @${screenName} postponed: ${error.message}`);
+        if (retryQueue.get(screenName) === retry) {
+          retry.nextAttempt = Date.now() + RETRY_DELAYS[retry.attempts - 1];
+          saveRetryQueue();
+        }
+      })
+      .finally(() => {
+        retry.inFlight = false;
+        scheduleRetryCheck();
+      });
+  }
+  scheduleRetryCheck();
+}
+
+// Let open x.com tabs show a flag for an account that resolved on retry
+async function notifyTabsLocationResolved(screenName, entry) {
+  const tabs = await chrome.tabs.query({ url: TWITTER_TAB_URLS });
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, { type: 'locationResolved', screenName, entry }).catch(() => {
+      // Tab has no content script (e.g. still loading)
+    });
+  }
+}
+
+// null until the first answer, so a status left in session storage by a suspended worker gets cleared
+let endpointBroken = null;
+
+function setEndpointBroken(broken) {
+  if (broken === endpointBroken) return;
+  endpointBroken = broken;
+  if (broken) {
+    console.error(`🔌 ${ENDPOINT_BROKEN_ERROR}`);
+    chrome.storage.session.set({ [ENDPOINT_STATUS_KEY]: { broken: true, since: Date.now() } })
+      .catch(error => console.error('Error saving endpoint status:', error));
+  } else {
+    console.log('✅ Location endpoint working again');
+    chrome.storage.session.remove(ENDPOINT_STATUS_KEY)
+      .catch(error => console.error('Error clearing endpoint status:', error));
+  }
+}
+
+function isRateLimited() {
+  if (rateLimitResetTime === 0) return false;
+  const now = Math.floor(Date.now() / 1000);
+  return now < rateLimitResetTime;
+}
+
+// The wait after a 429 is over - the consecutive count is only cleared by a request that succeeds,
+// so a 429 on the first request after the wait backs off twice as long
+function resetRateLimit() {
+  console.log(`⏯️  Rate limit wait over after ${consecutiveRateLimits} consecutive limit${consecutiveRateLimits > 1 ? 's' : ''}. Resuming requests.`);
+  rateLimitResetTime = 0;
+  saveRateLimitState();
+  updateQueueStatus();
+}
+
+// Apply exponential backoff after a 429 reported by any tab
+function applyRateLimit(apiResetTime) {
+  consecutiveRateLimits++;
+  const baseWaitMinutes = settings.baseBackoffMinutes * Math.pow(2, consecutiveRateLimits - 1);
+  const exponentialWaitSeconds = baseWaitMinutes * 60;
+
+  // Use the longer of: API-reported reset time or exponential backoff
+  const exponentialResetTime = Math.floor(Date.now() / 1000) + exponentialWaitSeconds;
+  rateLimitResetTime = Math.max(apiResetTime || 0, exponentialResetTime);
+  saveRateLimitState();
+
+  const waitMinutes = Math.ceil((rateLimitResetTime - Math.floor(Date.now() / 1000)) / 60);
+  console.warn(`🚫 RATE LIMIT #${consecutiveRateLimits}: Exponential backoff active. Will resume in ${waitMinutes} minutes (backoff: ${baseWaitMinutes}min base × 2^${consecutiveRateLimits - 1})`);
+  recordQueueError(`Rate limited by X (#${consecutiveRateLimits}) - paused for ${waitMinutes} minutes`);
+}
+
+// Keep the budget from a batch's response headers - the latest window, and the lowest count left in it
+// (answers in a batch arrive out of order, so the lowest remaining is the most recent)
+function updateRateLimitBudget(results) {
+  const budgets = results.map(result => result.rateLimit).filter(Boolean);
+  if (budgets.length === 0) return;
+
+  const reset = Math.max(...budgets.map(budget => budget.reset));
+  const current = budgets.filter(budget => budget.reset === reset);
+  rateLimitBudget = {
+    limit: Math.max(...current.map(budget => budget.limit)),
+    remaining: Math.min(...current.map(budget => budget.remaining)),
+    reset
+  };
+  saveRateLimitState();
+}
+
+// The budget for the current window, or null once it has reset (a fresh window's size isn't known yet)
+function getCurrentBudget() {
+  if (!rateLimitBudget || rateLimitBudget.reset <= Math.floor(Date.now() / 1000)) return null;
+  return rateLimitBudget;
+}
+
+// Requests that can still be spent in the current window, keeping RATE_LIMIT_RESERVE back
+function getSpendableBudget() {
+  const budget = getCurrentBudget();
+  return budget ? budget.remaining - RATE_LIMIT_RESERVE : Infinity;
+}
+
+// ms to wait after a round trip of batchSize requests so the rest of the budget lasts until the window resets
+function getBudgetSpacing(batchSize) {
+  const budget = getCurrentBudget();
+  if (!budget) return 0;
+  const untilReset = budget.reset * 1000 - Date.now();
+  return Math.round(untilReset * batchSize / Math.max(1, getSpendableBudget()));
+}
+
+function isBudgetSpent() {
+  return getSpendableBudget() <= 0;
+}
+
+// Stop before the window's budget runs out: hold the queue and resume when it resets.
+// Unlike a 429, queued lookups keep waiting and new ones are queued, and the backoff isn't touched.
+function pauseForBudget() {
+  if (budgetResumeTimeout) return;
+  const waitMs = rateLimitBudget.reset * 1000 - Date.now();
+  budgetResumeTimeout = setTimeout(() => {
+    budgetResumeTimeout = null;
+    updateQueueStatus();
+    processRequestQueue();
+  }, waitMs + 1000);
+
+  console.warn(`🪫 Rate limit budget spent (${rateLimitBudget.remaining} of ${rateLimitBudget.limit} left). Holding ${requestQueue.length} queued requests for ${Math.ceil(waitMs / 60000)} minutes until it resets.`);
+  updateQueueStatus();
+}
+
+// Tabs that can perform the request, best first - the requesting tab if it is still an open x.com tab,
+// then every other open x.com tab (its page script carries the user's session)
+// Requests from extension pages (e.g. bulk lookup) always go to an x.com tab
+async function findRequestTabs(preferredTabId) {
+  const tabs = await chrome.tabs.query({ url: TWITTER_TAB_URLS });
+  const tabIds = tabs.map(tab => tab.id);
+  if (tabIds.includes(preferredTabId)) {
+    return [preferredTabId, ...tabIds.filter(id => id !== preferredTabId)];
+  }
+  return tabIds;
+}
+
+// Make actual API requests through a tab's page script - one round trip for the whole batch
+// Tabs where the extension never became active (paused or disabled) answer "unavailable" and are skipped
+// Returns one result per screen name, in the same order
+async function makeLocationRequests(screenNames, tabId) {
+  const targetTabIds = await findRequestTabs(tabId);
+  if (targetTabIds.length === 0) {
+    throw new Error('No x.com tab available to make the request');
+  }
+
+  let response;
+  for (const targetTabId of targetTabIds) {
+    response = await chrome.tabs.sendMessage(targetTabId, {
+      type: 'fetchLocations',
+      screenNames
+    }).catch(() => null);
+    if (response && !response.unavailable) break;
+  }
+
+  if (!response || response.error) {
+    throw new Error(response?.error || 'No response from tab');
+  }
+  return response.results;
+}
+
+// Settle one queued request with its result - only real answers are cached
+// (not rate limits, transient failures or a broken endpoint)
+async function settleRequest({ screenName, tabId, resolve, reject }, result) {
+  if (result.endpointBroken) {
+    setEndpointBroken(true);
+    recordQueueError(ENDPOINT_BROKEN_ERROR);
+    reject(new Error(ENDPOINT_BROKEN_ERROR));
+  } else if (result.isRateLimited) {
+    console.warn(`⚠️  Not caching null for ${screenName} due to rate limit`);
+    resolve(result);
+  } else if (isTransientStatus(result.status)) {
+    console.warn(`⚠️  Not caching ${result.status} for ${screenName}, queued for retry`);
+    recordQueueError(`${LOOKUP_STATUS_INDICATORS[result.status].label} for @${screenName} - will retry`);
+    scheduleRetry(screenName, tabId, result.status);
+    resolve({ location: null, status: result.status, transient: true });
+  } else {
+    setEndpointBroken(false);
+    const { username, ...entry } = await saveCacheEntry(screenName, result.location || null, {
+      status: result.status,
+      aboutProfile: result.aboutProfile,
+      accountInfo: result.accountInfo
+    });
+    resolve(entry);
+  }
+}
+
+// Who asked for a lookup - each tab separately, so one tab can demote or cancel only its own interest
+function getRequester(sender) {
+  return sender.tab ? `tab:${sender.tab.id}` : 'extension';
+}
+
+function getQueuePriority(item) {
+  return Math.max(...item.requesters.values());
+}
+
+// Most important first, oldest first within a priority
+function compareQueueItems(a, b) {
+  return getQueuePriority(b) - getQueuePriority(a) || a.sequence - b.sequence;
+}
+
+// Index of the least important queued request, or -1
+// The oldest of the lowest priority goes first - it has most likely scrolled away already
+function findEvictionIndex() {
+  let index = -1;
+  requestQueue.forEach((item, i) => {
+    const lowest = index === -1 ? null : requestQueue[index];
+    if (!lowest || getQueuePriority(item) < getQueuePriority(lowest) ||
+        (getQueuePriority(item) === getQueuePriority(lowest) && item.sequence < lowest.sequence)) {
+      index = i;
+    }
+  });
+  return index;
+}
+
+// Change one requester's priority for queued accounts (e.g. they scrolled out of view)
+function setQueuedPriority(screenNames, requester, rank) {
+  for (const item of requestQueue) {
+    if (screenNames.includes(item.screenName) && item.requesters.has(requester)) {
+      item.requesters.set(requester, rank);
+    }
+  }
+}
+
+// Drop a requester's interest in every queued request (e.g. its tab navigated away);
+// requests nobody else is waiting for are cancelled. Requests already sent are left to finish.
+function cancelQueuedRequests(requester) {
+  let cancelled = 0;
+  for (let i = requestQueue.length - 1; i >= 0; i--) {
+    const item = requestQueue[i];
+    if (!item.requesters.delete(requester) || item.requesters.size > 0) continue;
+    requestQueue.splice(i, 1);
+    item.reject(new Error('Lookup cancelled'));
+    cancelled++;
+  }
+  if (cancelled > 0) {
+    updateQueueStatus();
+    console.log(`🗑️  Cancelled ${cancelled} queued request${cancelled > 1 ? 's' : ''} for ${requester}`);
+  }
+}
+
+// Process request queue with rate limiting
+async function processRequestQueue() {
+  if (isProcessingQueue || requestQueue.length === 0) {
+    return;
+  }
+
+  // Check if we're rate limited
+  if (isRateLimited()) {
+    const now = Math.floor(Date.now() / 1000);
+    const waitTime = (rateLimitResetTime - now) * 1000;
+    const waitMinutes = Math.ceil(waitTime / 1000 / 60);
+    console.log(`⏸️  Rate limited. Waiting ${waitMinutes} minutes... (${consecutiveRateLimits} consecutive rate limit${consecutiveRateLimits > 1 ? 's' : ''})`);
+
+    // Reject pending requests
+    while (requestQueue.length > 0) {
+      requestQueue.shift().reject(new Error('Rate limited'));
+    }
+    updateQueueStatus();
+
+    setTimeout(processRequestQueue, Math.min(waitTime, 60000));
+    return;
+  }
+
+  // Rate limit expired, reset if needed
+  if (rateLimitResetTime > 0) {
+    resetRateLimit();
+  }
+
+  console.log(`Processing queue: ${requestQueue.length} requests pending, ${activeRequests} active`);
+
+  isProcessingQueue = true;
+
+  while (requestQueue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS && !isRateLimited()) {
+    if (isBudgetSpent()) {
+      pauseForBudget();
+      break;
+    }
+
+    const now = Date.now();
+    const timeSinceLastRequest = now - lastRequestTime;
+
+    // Once X has reported this window's budget, spread what is left of it evenly until the reset.
+    // Until then, wait one minimum interval per request of the last round trip, so batching never raises the request rate
+    const interval = getCurrentBudget()
+      ? getBudgetSpacing(lastBatchSize)
+      : settings.minRequestInterval * Math.max(1, lastBatchSize);
+    if (timeSinceLastRequest < interval) {
+      await new Promise(resolve => setTimeout(resolve, interval - timeSinceLastRequest));
+    }
+
+    // Give the rest of a tab's batch a moment to arrive
+    if (requestQueue.length < settings.requestBatchSize) {
+      await new Promise(resolve => setTimeout(resolve, BATCH_GATHER_DELAY));
+    }
+    if (requestQueue.length === 0) break;
+
+    // Most important first; requests in a batch go to the first one's tab (any x.com tab can make any request)
+    requestQueue.sort(compareQueueItems);
+    const batch = requestQueue.splice(0, Math.max(1, Math.min(settings.requestBatchSize, getSpendableBudget())));
+    lastBatchSize = batch.length;
+    activeRequests++;
+    lastRequestTime = Date.now();
+    countQueueEvent('requestsMade', batch.length);
+    if (batch.length > 1) {
+      console.log(`📦 Batch of ${batch.length}: ${batch.map(item => `@${item.screenName}`).join(', ')}`);
+    }
+
+    // Make the requests and fan the results back out to each pending lookup
+    try {
+      const results = await makeLocationRequests(batch.map(item => item.screenName), batch[0].tabId);
+      updateRateLimitBudget(results);
+      const rateLimited = results.filter(result => result.isRateLimited);
+      if (rateLimited.length > 0) {
+        applyRateLimit(Math.max(0, ...rateLimited.map(result => result.rateLimitReset || 0)));
+      } else if (consecutiveRateLimits > 0) {
+        // Successful request - reset consecutive rate limit counter
+        console.log(`✅ Successful request after ${consecutiveRateLimits} rate limit${consecutiveRateLimits > 1 ? 's' : ''}. Resetting backoff.`);
+        consecutiveRateLimits = 0;
+        saveRateLimitState();
+      }
+
+      for (let i = 0; i < batch.length; i++) {
+        await settleRequest(batch[i], results[i]).catch(batch[i].reject);
+      }
+    } catch (error) {
+      recordQueueError(error.message);
+      batch.forEach(item => item.reject(error));
+    } finally {
+      activeRequests--;
+      updateQueueStatus();
+      setTimeout(processRequestQueue, 200);
+    }
+  }
+
+  isProcessingQueue = false;
+}
+
+// Look up a location: IndexedDB cache first (unless force is set), then a queued
+// request that is shared with any in-flight lookup for the same username
+// Accounts waiting in the retry queue answer with their last transient status until the retry is due
+// priority (see lookupPriority.js) orders the queue; when it is full the least important request is evicted
+// Returns: a cache entry { location, status, expiry, cachedAt, ... } or { location: null, isRateLimited }
+// or { location: null, status, transient: true }
+async function lookupLocation(screenName, tabId, { force = false, priority = LOOKUP_PRIORITY.VISIBLE, requester = 'extension' } = {}) {
+  await Promise.all([settingsReady, rateLimitStateReady, storeReady, queueCountersReady, retryQueueReady]);
+
+  if (!force) {
+    try {
+      const cached = await getCacheEntry(screenName);
+      if (cached && cached.expiry > Date.now()) {
+        console.log(`✅ CACHE HIT (store): @${screenName} → ${cached.location || 'no location'}`);
+        countQueueEvent('cacheHits');
+        const { username, ...result } = cached;
+        return result;
+      }
+    } catch (error) {
+      console.error(`Error reading cache entry for ${screenName}:`, error);
+    }
+    countQueueEvent('cacheMisses');
+  }
+
+  const retry = retryQueue.get(screenName);
+  if (!force && retry && !retry.inFlight && retry.nextAttempt > Date.now()) {
+    return { location: null, status: retry.status, transient: true };
+  }
+
+  const rank = getLookupPriorityRank(priority);
+  if (pendingLookups.has(screenName)) {
+    console.log(`⏳ Joining pending request for @${screenName}`);
+    const queued = requestQueue.find(item => item.screenName === screenName);
+    if (queued) {
+      queued.requesters.set(requester, Math.max(rank, queued.requesters.get(requester) || 0));
+    }
+    return pendingLookups.get(screenName);
+  }
+
+  if (requestQueue.length >= settings.maxQueueSize) {
+    const evictIndex = findEvictionIndex();
+    if (evictIndex === -1 || getQueuePriority(requestQueue[evictIndex]) > rank) {
+      recordQueueError(`Queue full (${requestQueue.length}/${settings.maxQueueSize}) - dropped @${screenName}`);
+      throw new Error(`Queue full (${requestQueue.length}/${settings.maxQueueSize})`);
+    }
+    const [evicted] = requestQueue.splice(evictIndex, 1);
+    console.log(`⏏️  Evicted @${evicted.screenName} from the full queue for @${screenName}`);
+    evicted.reject(new Error('Evicted from the queue by a more important lookup'));
+  }
+
+  console.log(`📡 API REQUEST: @${screenName} (queue: ${requestQueue.length}/${settings.maxQueueSize})`);
+
+  const lookupPromise = new Promise((resolve, reject) => {
+    requestQueue.push({
+      screenName,
+      tabId,
+      requesters: new Map([[requester, rank]]),
+      sequence: queueSequence++,
+      resolve: (result) => {
+        pendingLookups.delete(screenName);
+        resolve(result);
+      },
+      reject: (error) => {
+        pendingLookups.delete(screenName);
+        reject(error);
+      }
+    });
+    updateQueueStatus();
+    processRequestQueue();
+  });
+
+  pendingLookups.set(screenName, lookupPromise);
+  return lookupPromise;
+}
+
+// Dashboard numbers for a day range: unique accounts per day, week, context and location
+// Accounts are counted by their current cached location; 'unresolved' ones were never looked up (or only failed)
+async function buildDashboardStats(fromDay, toDay) {
+  await storeReady;
+  const contextsByAccount = new Map(); // username -> Set<context>
+  const accountsByDay = new Map(); // day -> Set<username>
+  await forEachSighting(fromDay, toDay, ({ day, context, username }) => {
+    if (!contextsByAccount.has(username)) {
+      contextsByAccount.set(username, new Set());
+    }
+    contextsByAccount.get(username).add(context);
+    if (!accountsByDay.has(day)) {
+      accountsByDay.set(day, new Set());
+    }
+    accountsByDay.get(day).add(username);
+  });
+
+  const entries = await getCacheEntries(Array.from(contextsByAccount.keys()));
+  const locationOf = (username) => {
+    const entry = entries.get(username);
+    if (entry?.location) return entry.location;
+    return entry && !isTransientStatus(getLookupStatus(entry)) ? null : undefined;
+  };
+
+  // { accounts, withLocation, noLocation, unresolved, locations: { location: count } }
+  const summarize = (usernames) => {
+    const summary = { accounts: 0, withLocation: 0, noLocation: 0, unresolved: 0, locations: {} };
+    for (const username of usernames) {
+      const location = locationOf(username);
+      summary.accounts++;
+      if (location) {
+        summary.withLocation++;
+        summary.locations[location] = (summary.locations[location] || 0) + 1;
+      } else if (location === null) {
+        summary.noLocation++;
+      } else {
+        summary.unresolved++;
+      }
+    }
+    return summary;
+  };
+
+  const accountsByWeek = new Map();
+  for (const [day, usernames] of accountsByDay) {
+    const week = toWeekKey(day);
+    if (!accountsByWeek.has(week)) {
+      accountsByWeek.set(week, new Set());
+    }
+    usernames.forEach(username => accountsByWeek.get(week).add(username));
+  }
+
+  const accountsByContext = new Map();
+  for (const [username, contexts] of contextsByAccount) {
+    for (const context of contexts) {
+      if (!accountsByContext.has(context)) {
+        accountsByContext.set(context, []);
+      }
+      accountsByContext.get(context).push(username);
+    }
+  }
+
+  const withoutLocations = ({ locations, ...counts }) => counts;
+  return {
+    total: summarize(contextsByAccount.keys()),
+    days: Array.from(accountsByDay.entries()).sort().map(([day, usernames]) => ({ day, ...withoutLocations(summarize(usernames)) })),
+    weeks: Array.from(accountsByWeek.entries()).sort().map(([week, usernames]) => ({ week, ...withoutLocations(summarize(usernames)) })),
+    contexts: Array.from(accountsByContext.entries()).map(([context, usernames]) => ({ context, ...summarize(usernames) }))
+  };
+}
+
+// Screen name of a profile link (or of a link below it, e.g. /jack/status/123), or null
+function getProfileScreenName(linkUrl) {
+  const match = PROFILE_LINK_PATTERN.exec(linkUrl || '');
+  if (!match || RESERVED_ROUTES.includes(match[1].toLowerCase())) {
+    return null;
+  }
+  return match[1];
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_PARENT,
+      title: 'Account location',
+      contexts: ['link'],
+      targetUrlPatterns: TWITTER_TAB_URLS
+    });
+    for (const [action, title] of Object.entries(CONTEXT_MENU_ACTIONS)) {
+      chrome.contextMenus.create({
+        id: action,
+        parentId: CONTEXT_MENU_PARENT,
+        title,
+        contexts: ['link'],
+        targetUrlPatterns: TWITTER_TAB_URLS
+      });
+    }
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const screenName = getProfileScreenName(info.linkUrl);
+  if (!screenName || !tab?.id || !CONTEXT_MENU_ACTIONS[info.menuItemId]) {
+    return;
+  }
+  chrome.tabs.sendMessage(tab.id, {
+    type: 'contextMenuAction',
+    action: info.menuItemId,
+    screenName
+  }).catch(() => {
+    // Context menu used on a page without the content script
+  });
+});
+
+// Keyboard shortcuts (manifest "commands"; _execute_action opens the popup without reaching here)
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command === 'toggle-flags') {
+    const result = await chrome.storage.local.get(TOGGLE_KEY);
+    const enabled = !(result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED);
+    await chrome.storage.local.set({ [TOGGLE_KEY]: enabled });
+    const tabs = await chrome.tabs.query({ url: TWITTER_TAB_URLS });
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, { type: 'extensionToggle', enabled }).catch(() => {
+        // Tab has no content script (e.g. still loading)
+      });
+    }
+  } else if (command === 'refresh-visible') {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab?.id) {
+      chrome.tabs.sendMessage(tab.id, { type: 'refreshVisible' }).catch(() => {
+        // Not an x.com tab
+      });
+    }
+  }
+});
+
+// Forget per-tab switches when the tab closes (tab IDs are not reused within a session, but the list would grow)
+// and drop the lookups only that tab was waiting for
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== RETRY_ALARM) return;
+  await Promise.all([settingsReady, retryQueueReady]);
+  processRetryQueue();
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  cancelQueuedRequests(`tab:${tabId}`);
+  const result = await chrome.storage.session.get(DISABLED_TABS_KEY);
+  const disabledTabs = result[DISABLED_TABS_KEY] || [];
+  if (disabledTabs.includes(tabId)) {
+    await chrome.storage.session.set({ [DISABLED_TABS_KEY]: disabledTabs.filter(id => id !== tabId) });
+  }
+});
+
+// Listen for lookup and cache requests from content scripts
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.type === 'getLocation') {
+    lookupLocation(request.screenName, sender.tab?.id, {
+      force: request.force,
+      priority: request.priority,
+      requester: getRequester(sender)
+    })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep the channel open for the async response
+  } else if (request.type === 'setLookupPriority') {
+    // Accounts that scrolled out of (or back into) view in the sending tab
+    setQueuedPriority(request.screenNames, getRequester(sender), getLookupPriorityRank(request.priority));
+  } else if (request.type === 'cancelLookups') {
+    // The sending tab navigated - its queued lookups are for a page that is gone
+    cancelQueuedRequests(getRequester(sender));
+  } else if (request.type === 'storeCapturedLocations') {
+    saveCapturedLocations(request.locations)
+      .then(entries => sendResponse({ entries }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.type === 'getRecentChanges') {
+    storeReady
+      .then(() => getRecentLocationChanges(request.limit))
+      .then(changes => sendResponse({ changes }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.type === 'getLocationHistory') {
+    storeReady
+      .then(() => getLocationHistory(request.username))
+      .then(history => sendResponse({ history }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.type === 'recordCacheHits') {
+    // Lookups a tab answered from its own in-memory cache (see content.js)
+    queueCountersReady.then(() => countQueueEvent('cacheHits', Math.max(0, Number(request.count) || 0)));
+  } else if (request.type === 'recordSightings') {
+    storeReady
+      .then(() => putSightings(request.sightings || []))
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.type === 'getDashboardStats') {
+    buildDashboardStats(request.fromDay, request.toDay)
+      .then(stats => sendResponse({ stats }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.type === 'getCacheEntries') {
+    storeReady
+      .then(() => getCacheEntries(request.usernames || []))
+      .then(found => {
+        const now = Date.now();
+        const entries = {};
+        for (const { username, ...data } of found.values()) {
+          if (data.expiry > now) entries[username] = data;
+        }
+        sendResponse({ entries });
+      })
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.type === 'resetStats') {
+    resetLocationStats()
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.type === 'loadCache') {
+    // Whole cache, for the popup's export only - tabs ask for the accounts they show (getCacheEntries)
+    storeReady
+      .then(() => getAllCacheEntries())
+      .then(entries => sendResponse({ entries }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.type === 'getTabState') {
+    chrome.storage.session.get(DISABLED_TABS_KEY)
+      .then(result => sendResponse({ disabled: (result[DISABLED_TABS_KEY] || []).includes(sender.tab?.id) }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (request.type === 'importCache') {
+    importCacheEntries(request.entries, request.strategy)
+      .then(counts => sendResponse({ counts }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+});
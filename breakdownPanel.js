@@ -0,0 +1,264 @@
+// Country breakdown panel for a tweet's replies, "Liked by", "Reposted by" and followers/following lists
+// Like the popup statistics, but scoped to the accounts loaded on the current page; reset on navigation
+// Loaded before content.js; uses its cache (locationCache), getLocation() and extractUsername() at call time
+
+const BREAKDOWN_MAX_ROWS = 12; // Further countries are summed into "Other"
+
+// Pages that get the panel, and which containers hold the listed accounts
+const BREAKDOWN_PAGES = [
+  { pattern: /^\/[^/]+\/status\/\d+\/?$/, label: 'Replies', selector: 'article[data-testid="tweet"]' },
+  { pattern: /^\/[^/]+\/status\/\d+\/likes\/?$/, label: 'Liked by', selector: '[data-testid="UserCell"]' },
+  { pattern: /^\/[^/]+\/status\/\d+\/retweets\/?$/, label: 'Reposted by', selector: '[data-testid="UserCell"]' },
+  { pattern: /^\/[^/]+\/status\/\d+\/quotes\/?$/, label: 'Quotes', selector: 'article[data-testid="tweet"]' },
+  { pattern: /^\/[^/]+\/(followers|verified_followers|followers_you_follow)\/?$/, label: 'Followers', selector: '[data-testid="UserCell"]' },
+  { pattern: /^\/[^/]+\/following\/?$/, label: 'Following', selector: '[data-testid="UserCell"]' }
+];
+
+// Page state - accounts seen since the last navigation (lists are virtualized, so cells come and go)
+let breakdownAccounts = new Set();
+let breakdownPanel = null;
+let breakdownDismissed = false;
+let breakdownCollapsed = false;
+let breakdownResolving = false;
+let breakdownError = null; // Why the last "Resolve the rest" run stopped early
+let breakdownRun = 0; // Bumped per run so a stopped run that is still awaiting a lookup can't carry on
+
+function getBreakdownPage(pathname = window.location.pathname) {
+  return BREAKDOWN_PAGES.find(page => page.pattern.test(pathname)) || null;
+}
+
+// Collect the accounts currently loaded in the list (the focal tweet of a replies page is not a reply)
+function collectBreakdownAccounts(page) {
+  for (const container of document.querySelectorAll(page.selector)) {
+    if (page.label === 'Replies' && container.getAttribute('tabindex') === '-1') continue;
+    const screenName = extractUsername(container);
+    if (screenName) {
+      breakdownAccounts.add(screenName);
+    }
+  }
+}
+
+// Map<location, Set<username>> for the page's accounts, plus those without a location and those not looked up yet
+function computeBreakdown() {
+  const byLocation = new Map();
+  let noLocation = 0;
+  const unresolved = [];
+  const now = Date.now();
+
+  for (const screenName of breakdownAccounts) {
+    const cached = locationCache.get(screenName);
+    if (!cached || !(cached.expiry > now) || isTransientStatus(cached.status)) {
+      unresolved.push(screenName);
+    } else if (cached.location) {
+      if (!byLocation.has(cached.location)) {
+        byLocation.set(cached.location, new Set());
+      }
+      byLocation.get(cached.location).add(screenName);
+    } else {
+      noLocation++;
+    }
+  }
+  return { byLocation, noLocation, unresolved };
+}
+
+// Called on every page scan; creates, updates or removes the panel for the current page
+function updateBreakdownPanel() {
+  const page = getBreakdownPage();
+  if (!page || breakdownDismissed) {
+    removeBreakdownPanel();
+    return;
+  }
+
+  collectBreakdownAccounts(page);
+  if (breakdownAccounts.size === 0) return;
+
+  if (!breakdownPanel) {
+    breakdownPanel = createBreakdownPanel();
+    document.body.appendChild(breakdownPanel);
+  }
+  renderBreakdown(page);
+}
+
+function createBreakdownPanel() {
+  const panel = document.createElement('div');
+  panel.setAttribute('data-twitter-flag-breakdown', 'true');
+  Object.assign(panel.style, {
+    position: 'fixed',
+    right: '16px',
+    bottom: '16px',
+    zIndex: '9999',
+    width: '240px',
+    maxHeight: '60vh',
+    overflowY: 'auto',
+    padding: '10px 12px',
+    background: 'white',
+    color: '#0f1419',
+    border: '1px solid #cfd9de',
+    borderRadius: '12px',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+    fontSize: '13px',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    lineHeight: '1.4'
+  });
+  return panel;
+}
+
+// Helper: Small text button in the panel header
+function createBreakdownButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.title = title;
+  Object.assign(button.style, {
+    background: 'transparent',
+    border: 'none',
+    color: '#536471',
+    cursor: 'pointer',
+    fontSize: '13px',
+    padding: '0 4px'
+  });
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderBreakdown(page) {
+  const { byLocation, noLocation, unresolved } = computeBreakdown();
+  const total = breakdownAccounts.size;
+  const percent = count => `${Math.round((count / total) * 100)}%`;
+
+  breakdownPanel.textContent = '';
+
+  const header = document.createElement('div');
+  Object.assign(header.style, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', fontWeight: '600' });
+  const title = document.createElement('span');
+  title.textContent = `${page.label} · ${total} account${total !== 1 ? 's' : ''}`;
+  header.appendChild(title);
+  const controls = document.createElement('span');
+  controls.appendChild(createBreakdownButton(breakdownCollapsed ? '▴' : '▾', breakdownCollapsed ? 'Expand' : 'Collapse', () => {
+    breakdownCollapsed = !breakdownCollapsed;
+    renderBreakdown(page);
+  }));
+  controls.appendChild(createBreakdownButton('✕', 'Hide until you leave this page', () => {
+    breakdownDismissed = true;
+    removeBreakdownPanel();
+  }));
+  header.appendChild(controls);
+  breakdownPanel.appendChild(header);
+
+  if (breakdownCollapsed) return;
+
+  const rows = Array.from(byLocation.entries())
+    .map(([location, usernames]) => [location, usernames.size])
+    .sort((a, b) => b[1] - a[1]);
+  const shown = rows.slice(0, BREAKDOWN_MAX_ROWS);
+  const otherCount = rows.slice(BREAKDOWN_MAX_ROWS).reduce((sum, [, count]) => sum + count, 0);
+  if (otherCount > 0) {
+    shown.push([`${rows.length - BREAKDOWN_MAX_ROWS} other locations`, otherCount]);
+  }
+  if (noLocation > 0) {
+    shown.push(['No location', noLocation]);
+  }
+
+  const list = document.createElement('div');
+  list.style.margin = '8px 0';
+  for (const [location, count] of shown) {
+    const row = document.createElement('div');
+    Object.assign(row.style, { display: 'flex', justifyContent: 'space-between', gap: '8px', padding: '1px 0' });
+    const name = document.createElement('span');
+    const flag = getCountryFlag(location);
+    name.textContent = flag ? `${flag} ${location}` : location;
+    const value = document.createElement('span');
+    value.textContent = `${count} · ${percent(count)}`;
+    value.style.color = '#536471';
+    row.append(name, value);
+    list.appendChild(row);
+  }
+  if (shown.length === 0) {
+    list.textContent = 'No locations resolved yet';
+    list.style.color = '#536471';
+  }
+  breakdownPanel.appendChild(list);
+
+  const footer = document.createElement('div');
+  Object.assign(footer.style, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', color: '#536471' });
+  const unresolvedText = document.createElement('span');
+  unresolvedText.textContent = `${unresolved.length} unresolved`;
+  if (breakdownError && !breakdownResolving) {
+    unresolvedText.textContent += ` (stopped: ${breakdownError})`;
+  }
+  footer.appendChild(unresolvedText);
+  if (unresolved.length > 0 || breakdownResolving) {
+    const resolveButton = document.createElement('button');
+    resolveButton.type = 'button';
+    resolveButton.textContent = breakdownResolving ? 'Stop' : 'Resolve the rest';
+    Object.assign(resolveButton.style, {
+      background: '#1d9bf0',
+      border: 'none',
+      borderRadius: '16px',
+      color: 'white',
+      cursor: 'pointer',
+      fontSize: '12px',
+      fontWeight: '600',
+      padding: '4px 12px'
+    });
+    resolveButton.addEventListener('click', () => {
+      if (breakdownResolving) {
+        breakdownResolving = false;
+        renderBreakdown(page);
+      } else {
+        resolveBreakdownAccounts(page);
+      }
+    });
+    footer.appendChild(resolveButton);
+  }
+  breakdownPanel.appendChild(footer);
+}
+
+// Look up the page's unresolved accounts through the shared queue, a round trip's worth at a time (stops on navigation)
+async function resolveBreakdownAccounts(page) {
+  const run = ++breakdownRun;
+  breakdownResolving = true;
+  breakdownError = null;
+  renderBreakdown(page);
+  const pathname = window.location.pathname;
+
+  // A round trip's worth at a time, so the background can batch them
+  const unresolved = computeBreakdown().unresolved;
+  for (let i = 0; i < unresolved.length; i += settings.requestBatchSize) {
+    if (!breakdownResolving || run !== breakdownRun || window.location.pathname !== pathname) return;
+    const batch = unresolved.slice(i, i + settings.requestBatchSize);
+    const results = await Promise.allSettled(batch.map(screenName => getLocation(screenName, { priority: LOOKUP_PRIORITY.PREFETCH })));
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      // Rate limited, queue full, evicted by on-screen lookups or no x.com tab - the rest would fail the same way
+      console.error('Error resolving accounts for the breakdown:', failed.reason);
+      breakdownError = failed.reason.message;
+      break;
+    }
+    if (breakdownPanel && window.location.pathname === pathname) {
+      renderBreakdown(page);
+    }
+  }
+
+  breakdownResolving = false;
+  if (breakdownPanel && window.location.pathname === pathname) {
+    renderBreakdown(page);
+    processUsernamesThrottled();
+  }
+}
+
+function removeBreakdownPanel() {
+  if (breakdownPanel) {
+    breakdownPanel.remove();
+    breakdownPanel = null;
+  }
+}
+
+// New page - new set of accounts
+function resetBreakdownPanel() {
+  breakdownAccounts = new Set();
+  breakdownDismissed = false;
+  breakdownResolving = false;
+  breakdownError = null;
+  removeBreakdownPanel();
+}
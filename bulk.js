@@ -0,0 +1,351 @@
+// Bulk lookup page - resolves a pasted or uploaded list of handles through the background queue
+// The job lives in chrome.storage.local so it can be paused and resumed across browser restarts
+const BULK_JOB_KEY = 'bulk_lookup_job';
+const RATE_LIMIT_STATE_KEY = 'rate_limit_state'; // Written by background.js
+const MAX_BULK_HANDLES = 5000;
+const RETRY_DELAY = 10000; // ms to wait when the queue is full or no x.com tab is open
+const TRANSIENT_RETRY_DELAY = 60000; // ms before asking again about a handle that failed transiently
+const BULK_CSV_COLUMNS = ['username', 'location', 'flag', 'countryCode', 'status', 'cachedAt'];
+
+const handlesInput = document.getElementById('handlesInput');
+const startBtn = document.getElementById('startBtn');
+const loadFileBtn = document.getElementById('loadFileBtn');
+const handlesFile = document.getElementById('handlesFile');
+const inputMessage = document.getElementById('inputMessage');
+const jobSection = document.getElementById('jobSection');
+const pauseBtn = document.getElementById('pauseBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const clearBtn = document.getElementById('clearBtn');
+const progressFill = document.getElementById('progressFill');
+const progressText = document.getElementById('progressText');
+const jobMessage = document.getElementById('jobMessage');
+const resultsBody = document.getElementById('resultsBody');
+
+let settings = getDefaultSettings();
+onSettingsChanged(updated => {
+  settings = updated;
+  renderProgress();
+});
+
+// Job: { handles: [username], results: { username: { location, status, cachedAt, expiry } }, paused, createdAt }
+// A handle without a result is still pending
+let job = null;
+const deferredUntil = new Map(); // username -> { time, status }; handles that failed transiently (the background retries them)
+let isRunning = false;
+let rateLimitResetTime = 0; // Unix seconds, mirrored from the background worker
+const resultRows = new Map(); // username -> <tr>
+
+// Helper: Pull handles out of free text - @handles, bare handles and profile links
+function parseHandles(text) {
+  const handles = [];
+  let invalid = 0;
+  for (const token of text.split(/[\s,;]+/).filter(Boolean)) {
+    const urlMatch = token.match(/(?:x|twitter)\.com\/@?([A-Za-z0-9_]+)/i);
+    const handle = urlMatch ? urlMatch[1] : token.replace(/^@/, '');
+    if (/^[A-Za-z0-9_]{1,15}$/.test(handle)) {
+      handles.push(handle);
+    } else {
+      invalid++;
+    }
+  }
+  return { handles, invalid };
+}
+
+// CSV files use the username column if there is one (e.g. a cache export), otherwise the first column
+function parseHandlesFile(fileName, text) {
+  if (!fileName.toLowerCase().endsWith('.csv')) {
+    return parseHandles(text);
+  }
+  const rows = parseCsv(text);
+  const column = rows.length > 0 && 'username' in rows[0] ? 'username' : Object.keys(rows[0] || {})[0];
+  return parseHandles(rows.map(row => row[column] || '').join('\n'));
+}
+
+function saveJob() {
+  return chrome.storage.local.set({ [BULK_JOB_KEY]: job })
+    .catch(error => console.error('Error saving bulk lookup job:', error));
+}
+
+function getPendingHandles() {
+  return job ? job.handles.filter(handle => !job.results[handle]) : [];
+}
+
+// Helper: Human-readable duration
+function formatDuration(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// ETA assumes every pending handle needs a request; cached ones resolve instantly so it only shrinks
+function renderProgress() {
+  if (!job) return;
+
+  const total = job.handles.length;
+  const pending = getPendingHandles().length;
+  const done = total - pending;
+  progressFill.style.width = `${total > 0 ? (done / total) * 100 : 0}%`;
+
+  let text = `${done} of ${total} resolved`;
+  if (pending > 0) {
+    const rateLimitWait = Math.max(0, rateLimitResetTime * 1000 - Date.now());
+    const eta = pending * settings.minRequestInterval + rateLimitWait;
+    text += ` · ${job.paused ? 'paused' : `up to ~${formatDuration(eta)} left`}`;
+  } else {
+    text += ' · done';
+  }
+  progressText.textContent = text;
+  pauseBtn.textContent = job.paused ? 'Resume' : 'Pause';
+  pauseBtn.disabled = pending === 0;
+}
+
+function showJobMessage(message, isError = false) {
+  jobMessage.textContent = message;
+  jobMessage.classList.toggle('error', isError);
+}
+
+function renderResultRow(handle) {
+  let row = resultRows.get(handle);
+  if (!row) {
+    row = document.createElement('tr');
+    row.innerHTML = '<td><a target="_blank"></a></td><td></td><td></td>';
+    row.querySelector('a').href = `https://x.com/${handle}`;
+    row.querySelector('a').textContent = `@${handle}`;
+    resultRows.set(handle, row);
+    resultsBody.appendChild(row);
+  }
+
+  const result = job.results[handle];
+  const [, locationCell, statusCell] = row.children;
+  if (!result) {
+    const deferred = deferredUntil.get(handle);
+    locationCell.textContent = '';
+    statusCell.textContent = deferred ? `Retrying at ${new Date(deferred.time).toLocaleTimeString()} (${LOOKUP_STATUS_INDICATORS[deferred.status].label.toLowerCase()})` : 'Pending';
+    statusCell.className = deferred ? 'status-error' : 'status-pending';
+  } else {
+    const flag = result.location ? getCountryFlag(result.location) : null;
+    const indicator = LOOKUP_STATUS_INDICATORS[getLookupStatus(result)];
+    locationCell.textContent = result.location ? `${flag ? `${flag} ` : ''}${result.location}` : `${indicator.symbol} ${indicator.label}`;
+    statusCell.textContent = `Fetched ${new Date(result.cachedAt).toLocaleDateString()}`;
+    statusCell.className = '';
+  }
+}
+
+function renderJob() {
+  resultRows.clear();
+  resultsBody.innerHTML = '';
+  jobSection.hidden = !job;
+  if (!job) return;
+
+  job.handles.forEach(renderResultRow);
+  renderProgress();
+}
+
+// Helper: Sleep, waking early if the job is paused or cleared
+async function waitFor(ms) {
+  const until = Date.now() + ms;
+  while (Date.now() < until && job && !job.paused) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(1000, until - Date.now())));
+    renderProgress();
+  }
+}
+
+// Wait out any backoff the background worker is in before sending the next lookup
+async function waitForRateLimit() {
+  const result = await chrome.storage.session.get(RATE_LIMIT_STATE_KEY);
+  rateLimitResetTime = result[RATE_LIMIT_STATE_KEY]?.resetTime || 0;
+  const wait = rateLimitResetTime * 1000 - Date.now();
+  if (wait > 0) {
+    showJobMessage(`Rate limited - resuming at ${new Date(rateLimitResetTime * 1000).toLocaleTimeString()}`);
+    await waitFor(wait);
+  }
+}
+
+// Resolve pending handles a round trip's worth at a time with getLocation semantics
+// (cache first, then the shared queue, which sends them to a tab as one batch)
+async function runJob() {
+  if (isRunning) return;
+  isRunning = true;
+
+  while (job && !job.paused) {
+    const pending = getPendingHandles();
+    if (pending.length === 0) {
+      showJobMessage('All handles resolved');
+      break;
+    }
+    const handles = pending
+      .filter(candidate => !(deferredUntil.get(candidate)?.time > Date.now()))
+      .slice(0, settings.requestBatchSize);
+    if (handles.length === 0) {
+      // Only transiently failed handles left - wait for the earliest retry
+      const nextRetry = Math.min(...pending.map(candidate => deferredUntil.get(candidate).time));
+      showJobMessage(`${pending.length} lookup${pending.length !== 1 ? 's' : ''} failed temporarily - retrying at ${new Date(nextRetry).toLocaleTimeString()}`);
+      await waitFor(nextRetry - Date.now());
+      continue;
+    }
+
+    await waitForRateLimit();
+    if (!job || job.paused) break;
+
+    const responses = await Promise.all(handles.map(handle =>
+      chrome.runtime.sendMessage({ type: 'getLocation', screenName: handle, priority: LOOKUP_PRIORITY.PREFETCH })
+        .catch(error => ({ error: error.message }))
+    ));
+
+    let error = null;
+    let resolved = 0;
+    handles.forEach((handle, index) => {
+      const response = responses[index];
+      // Job may have been cleared while the request was in flight
+      if (!job || !job.handles.includes(handle)) return;
+
+      if (response?.error) {
+        // Queue full, evicted by on-screen lookups, no x.com tab open, rate limited - all go away on their own
+        error = response.error;
+        return;
+      }
+      if (!response || response.isRateLimited) {
+        // Not a real answer - keep the handle pending and try again after the backoff
+        return;
+      }
+      if (response.transient) {
+        deferredUntil.set(handle, { time: Date.now() + TRANSIENT_RETRY_DELAY, status: response.status });
+        renderResultRow(handle);
+        return;
+      }
+
+      deferredUntil.delete(handle);
+      job.results[handle] = {
+        location: response.location,
+        status: getLookupStatus(response),
+        cachedAt: response.cachedAt,
+        expiry: response.expiry
+      };
+      renderResultRow(handle);
+      resolved++;
+    });
+
+    if (resolved > 0 && job) {
+      showJobMessage('');
+      renderProgress();
+      await saveJob();
+    }
+    if (error) {
+      showJobMessage(`${error} - retrying in ${RETRY_DELAY / 1000} s`, true);
+      await waitFor(RETRY_DELAY);
+    }
+  }
+
+  isRunning = false;
+  renderProgress();
+}
+
+function addHandles(handles, invalid) {
+  if (!job) {
+    job = { handles: [], results: {}, paused: false, createdAt: Date.now() };
+  }
+
+  const existing = new Set(job.handles.map(handle => handle.toLowerCase()));
+  const added = [];
+  for (const handle of handles) {
+    const key = handle.toLowerCase();
+    if (!existing.has(key) && job.handles.length < MAX_BULK_HANDLES) {
+      existing.add(key);
+      job.handles.push(handle);
+      added.push(handle);
+    }
+  }
+
+  const skipped = handles.length - added.length;
+  inputMessage.classList.toggle('error', added.length === 0);
+  inputMessage.textContent = `Added ${added.length} handle${added.length !== 1 ? 's' : ''}` +
+    (skipped > 0 ? `, ${skipped} duplicate${skipped !== 1 ? 's' : ''} or over the ${MAX_BULK_HANDLES} limit` : '') +
+    (invalid > 0 ? `, ${invalid} not a valid handle` : '');
+
+  if (added.length === 0) return;
+  job.paused = false;
+  jobSection.hidden = false;
+  added.forEach(renderResultRow);
+  renderProgress();
+  saveJob();
+  runJob();
+}
+
+startBtn.addEventListener('click', () => {
+  const { handles, invalid } = parseHandles(handlesInput.value);
+  addHandles(handles, invalid);
+  if (handles.length > 0) {
+    handlesInput.value = '';
+  }
+});
+
+loadFileBtn.addEventListener('click', () => {
+  handlesFile.click();
+});
+
+handlesFile.addEventListener('change', async () => {
+  const file = handlesFile.files[0];
+  handlesFile.value = '';
+  if (!file) return;
+
+  const { handles, invalid } = parseHandlesFile(file.name, await file.text());
+  addHandles(handles, invalid);
+});
+
+pauseBtn.addEventListener('click', () => {
+  job.paused = !job.paused;
+  showJobMessage('');
+  renderProgress();
+  saveJob();
+  if (!job.paused) {
+    runJob();
+  }
+});
+
+clearBtn.addEventListener('click', async () => {
+  if (!confirm('Clear this lookup and its results? Cached locations are kept.')) {
+    return;
+  }
+  job = null;
+  await chrome.storage.local.remove(BULK_JOB_KEY);
+  renderJob();
+  showJobMessage('');
+});
+
+function buildBulkExportRows() {
+  return job.handles.map(handle => {
+    const result = job.results[handle];
+    const country = result?.location ? getCountryInfo(result.location) : null;
+    return {
+      username: handle,
+      location: result?.location || null,
+      flag: country?.flag || null,
+      countryCode: country?.code || null,
+      status: result ? getLookupStatus(result) : 'pending',
+      cachedAt: result?.cachedAt ? new Date(result.cachedAt).toISOString() : null
+    };
+  });
+}
+
+function exportFileName(extension) {
+  return `x-location-bulk-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+exportCsvBtn.addEventListener('click', () => {
+  downloadFile(exportFileName('csv'), toCsv(BULK_CSV_COLUMNS, buildBulkExportRows()), 'text/csv');
+});
+
+exportJsonBtn.addEventListener('click', () => {
+  downloadFile(exportFileName('json'), JSON.stringify(buildBulkExportRows(), null, 2), 'application/json');
+});
+
+// Restore the saved job and carry on unless it was paused
+Promise.all([loadSettings(), chrome.storage.local.get(BULK_JOB_KEY)]).then(([loaded, result]) => {
+  settings = loaded;
+  job = result[BULK_JOB_KEY] || null;
+  renderJob();
+  if (job && !job.paused) {
+    runJob();
+  }
+});
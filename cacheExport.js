@@ -0,0 +1,177 @@
+// Export and import helpers for the location cache (JSON and CSV)
+// Loaded by the popup before popup.js
+const EXPORT_FORMAT_VERSION = 1;
+const CACHE_CSV_COLUMNS = ['username', 'location', 'status', 'flag', 'countryCode', 'cachedAt', 'expiry'];
+const STATS_CSV_COLUMNS = ['location', 'flag', 'count'];
+const MAX_IMPORTED_LOCATION_LENGTH = 100; // X caps "based in" far below this; longer values are rejected
+
+// Helper: Quote a CSV field when needed
+function csvEscape(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns.join(','), ...rows.map(row => columns.map(column => csvEscape(row[column])).join(','))].join('\r\n');
+}
+
+// Parse CSV text into objects keyed by the header row (handles quoted fields and newlines)
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+  if (!header) return [];
+  const columns = header.map(column => column.trim());
+  return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])));
+}
+
+// Build export rows from the background's cache entries ({ username: entry })
+function buildCacheExportRows(entries) {
+  return Object.entries(entries)
+    .map(([username, entry]) => {
+      const country = entry.location ? getCountryInfo(entry.location) : null;
+      return {
+        username,
+        location: entry.location,
+        status: getLookupStatus(entry),
+        flag: country?.flag || null,
+        countryCode: country?.code || null,
+        cachedAt: entry.cachedAt,
+        expiry: entry.expiry
+      };
+    })
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+function buildStatsExportRows(stats) {
+  return Object.entries(stats || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([location, count]) => ({ location, flag: getCountryFlag(location), count }));
+}
+
+function buildJsonExport(entries, stats) {
+  return JSON.stringify({
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    cache: buildCacheExportRows(entries),
+    stats: stats || {}
+  }, null, 2);
+}
+
+// CSV dates are ISO strings so they read well in a spreadsheet
+function buildCacheCsvExport(entries) {
+  const rows = buildCacheExportRows(entries).map(row => ({
+    ...row,
+    cachedAt: row.cachedAt ? new Date(row.cachedAt).toISOString() : '',
+    expiry: row.expiry ? new Date(row.expiry).toISOString() : ''
+  }));
+  return toCsv(CACHE_CSV_COLUMNS, rows);
+}
+
+function buildStatsCsvExport(stats) {
+  return toCsv(STATS_CSV_COLUMNS, buildStatsExportRows(stats));
+}
+
+// Helper: Accept ms timestamps, numeric strings or ISO dates
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(String(value).trim())) return parseInt(value, 10);
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Turn rows from any supported file into { username, location, status, cachedAt, expiry } entries
+// Rows without a valid username are dropped; expiry may be null (background fills it in)
+function normalizeImportedRows(rows) {
+  const entries = [];
+  let invalid = 0;
+  for (const row of rows) {
+    const username = String(row.username || '').trim().replace(/^@/, '');
+    if (!/^[A-Za-z0-9_]{1,20}$/.test(username)) {
+      invalid++;
+      continue;
+    }
+    // A location is a short string or empty - anything else means the row wasn't written by us
+    if (row.location !== undefined && row.location !== null && typeof row.location !== 'string') {
+      invalid++;
+      continue;
+    }
+    const location = row.location?.trim() || null;
+    if (location && location.length > MAX_IMPORTED_LOCATION_LENGTH) {
+      invalid++;
+      continue;
+    }
+    const now = Date.now();
+    entries.push({
+      username,
+      location,
+      status: getLookupStatus({ status: row.status, location }),
+      cachedAt: Math.min(parseTimestamp(row.cachedAt) || now, now),
+      expiry: parseTimestamp(row.expiry)
+    });
+  }
+  return { entries, invalid };
+}
+
+// Parse an import file: our JSON export, the old { username: entry } cache blob, or a CSV export
+function parseImportFile(fileName, text) {
+  if (fileName.toLowerCase().endsWith('.csv')) {
+    return normalizeImportedRows(parseCsv(text));
+  }
+
+  const data = JSON.parse(text);
+  if (Array.isArray(data?.cache)) {
+    return normalizeImportedRows(data.cache);
+  }
+  if (data && typeof data === 'object') {
+    return normalizeImportedRows(Object.entries(data).map(([username, entry]) => ({ username, ...entry })));
+  }
+  throw new Error('Unrecognized file format');
+}
+
+// Helper: Save text as a file from an extension page
+function downloadFile(fileName, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
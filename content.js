@@ -1,131 +1,211 @@
 // Configuration constants
-// Cache settings
-const CACHE_KEY = 'twitter_location_cache';
-const CACHE_EXPIRY_DAYS = 30;
-const NULL_CACHE_EXPIRY_DAYS = 1;
-const CACHE_SAVE_INTERVAL = 5000; // Debounce cache saves (ms)
-const CACHE_PERIODIC_SAVE = 30000; // Periodic save interval (ms)
-
-// Rate limiting
-const MIN_REQUEST_INTERVAL = 3500; // ms between requests
-const MAX_CONCURRENT_REQUESTS = 1;
-const MAX_QUEUE_SIZE = 50;
-const BASE_BACKOFF_MINUTES = 5;
-const REQUEST_TIMEOUT = 10000; // ms
-
-// Storage
-const STORAGE_QUOTA_BYTES = 10 * 1024 * 1024; // 10MB
-const STORAGE_LOG_THRESHOLD = 90; // Don't allow writes at 90%
+// The location cache lives in IndexedDB in the background (see locationStore.js); this tab keeps the
+// accounts it has shown in a small LRU, fetched from the background a scan's worth at a time
+const LOCATION_CACHE_SIZE = 2000; // Entries kept in memory
+const CACHE_HIT_FLUSH_DELAY = 10000; // ms - cache hits are reported to the background in batches
 
 // Extension state
 const TOGGLE_KEY = 'extension_enabled';
 const DEFAULT_ENABLED = true;
-const STATS_KEY = 'location_stats';
+// How an enabled extension looks accounts up: 'auto' fetches everything visible,
+// 'manual' shows a "?" badge that fetches on click (cached flags still show straight away)
+const LOOKUP_MODE_KEY = 'lookup_mode';
+const LOOKUP_MODE_AUTO = 'auto';
+const LOOKUP_MODE_MANUAL = 'manual';
 
-// Processing
-const PROCESS_THROTTLE = 3000; // ms
+// Last AboutAccountQuery endpoint that worked ({ queryId, features, fieldToggles, learnedAt })
+const ENDPOINT_KEY = 'about_account_endpoint';
+
+// Processing (scan throttle, batch delay and request timeout are user settings, see settings.js)
 const INIT_DELAY = 2000; // ms
-const BATCH_SIZE = 10;
-const BATCH_DELAY = 4000; // ms between requests (slightly more than MIN_REQUEST_INTERVAL)
+const NAVIGATION_POLL_INTERVAL = 1000; // ms - only until the page script reports navigation
+const PREFETCH_MARGIN = '50% 0px'; // Off-screen accounts this close to the viewport are prefetched
+
+// Tweets, user cells and name blocks that carry a username
+const USERNAME_CONTAINER_SELECTOR = 'article[data-testid="tweet"], [data-testid="UserCell"], [data-testid="User-Names"], [data-testid="User-Name"]';
+
+// Recently used entries of the background's IndexedDB cache for synchronous lookups, least recently used first
+let locationCache = new Map(); // Map<username, {location, status, expiry, cachedAt, previousLocation, changedAt, aboutProfile, accountInfo}>
+const uncachedAccounts = new Set(); // Accounts the background had no entry for when last asked
+let unreportedCacheHits = 0; // Answered from locationCache, for the popup's cache hit ratio
+let cacheHitFlushTimeout = null;
 
-// Cache for user locations - persistent storage
-let locationCache = new Map(); // Map<username, {location: string|null, expiry: number}>
+// User settings, kept up to date when changed on the options page
+let settings = getDefaultSettings();
 
-// Rate limiting state
-const requestQueue = [];
-let isProcessingQueue = false;
-let lastRequestTime = 0;
-let activeRequests = 0;
-let rateLimitResetTime = 0; // Unix timestamp when rate limit resets
-let consecutiveRateLimits = 0; // Track consecutive rate limits for exponential backoff
+// Page script requests waiting for an answer over the page channel (see pageChannel.js)
+let pageRequestId = 0;
+const pendingPageRequests = new Map(); // requestId -> { screenNames, results: Map<screenName, result>, finish }
 
 // Observer state
 let observer = null;
 let intersectionObserver = null;
 
-// Extension enabled state
-let extensionEnabled = true;
+// Extension enabled state - extensionEnabled is whether this page runs, after the global switch,
+// pause, per-tab, per-site and per-route controls (see siteControls.js)
+let globalEnabled = DEFAULT_ENABLED;
+let siteControls = { ...DEFAULT_SITE_CONTROLS };
+let tabDisabled = false;
+let extensionEnabled = false;
+let processingStarted = false;
+let pauseTimeout = null;
+let lookupMode = LOOKUP_MODE_AUTO;
 
 // Track pending location requests to avoid duplicate API calls
-// Map<username, Promise<location>> - serves dual purpose:
+// Map<username, Promise<response>> - serves dual purpose:
 // 1. Check if username exists → it's being processed
 // 2. Get the promise → we can await it
 const pendingLocationRequests = new Map();
+const pendingLookupPriorities = new Map(); // Map<username, priority> - what this tab last asked the queue for
 
-// Statistics tracking - unique profiles per country/region
-const locationStats = new Map(); // Map<location, Set<username>> - in memory for deduplication
-
-// Storage monitoring
-let lastLoggedStoragePercent = -1; // Track last logged percentage to avoid duplicate logs
+// Containers showing a shimmer while their account is queued, and whether each is on screen
+// An account whose containers all left the viewport is demoted to prefetch, and promoted again when one returns
+const queuedContainers = new Map(); // Map<container, { screenName, visible }>
+let queuedVisibilityObserver = null;
 
 // Load enabled state
 async function loadEnabledState() {
   try {
-    const result = await chrome.storage.local.get([TOGGLE_KEY]);
-    extensionEnabled = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
-    console.log('Extension enabled:', extensionEnabled);
+    const result = await chrome.storage.local.get([TOGGLE_KEY, LOOKUP_MODE_KEY]);
+    globalEnabled = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
+    lookupMode = result[LOOKUP_MODE_KEY] === LOOKUP_MODE_MANUAL ? LOOKUP_MODE_MANUAL : LOOKUP_MODE_AUTO;
+    console.log('Extension enabled:', globalEnabled, 'lookup mode:', lookupMode);
   } catch (error) {
     console.error('Error loading enabled state:', error);
-    extensionEnabled = DEFAULT_ENABLED;
+    globalEnabled = DEFAULT_ENABLED;
+  }
+  
+  siteControls = await loadSiteControls();
+  
+  // Per-tab state lives in session storage keyed by tab ID, which only the background can resolve
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getTabState' });
+    tabDisabled = response?.disabled === true;
+  } catch (error) {
+    console.error('Error loading tab state:', error);
   }
 }
 
+// Re-evaluate whether this page should run (after a toggle, pause, settings change or navigation)
+// Starting adds flags from the cache and queues lookups; stopping removes every flag
+function updateActiveState(startDelay = 500) {
+  const reason = getInactiveReason({
+    enabled: globalEnabled,
+    controls: siteControls,
+    tabDisabled,
+    hostname: window.location.hostname,
+    pathname: window.location.pathname
+  });
+  
+  // Wake up when a pause ends
+  clearTimeout(pauseTimeout);
+  if (globalEnabled && isPaused(siteControls)) {
+    pauseTimeout = setTimeout(() => updateActiveState(), siteControls.pausedUntil - Date.now() + 100);
+  }
+  
+  const active = reason === null;
+  if (active === extensionEnabled) {
+    return;
+  }
+  extensionEnabled = active;
+  console.log(active ? 'Extension active on this page' : `Extension inactive: ${reason}`);
+  
+  if (active) {
+    startProcessing();
+    setTimeout(() => {
+      processUsernamesThrottled();
+    }, startDelay);
+  } else {
+    removeAllFlags();
+  }
+}
+
+// Page script and content observers are set up the first time the page becomes active
+function startProcessing() {
+  if (processingStarted) return;
+  processingStarted = true;
+  connectPageScript();
+  setupObservers();
+}
+
+// Lookup mode changed in the popup - swap "?" badges and automatic lookups in every tab
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[LOOKUP_MODE_KEY]) return;
+  lookupMode = changes[LOOKUP_MODE_KEY].newValue === LOOKUP_MODE_MANUAL ? LOOKUP_MODE_MANUAL : LOOKUP_MODE_AUTO;
+  console.log('Lookup mode:', lookupMode);
+  if (extensionEnabled) {
+    clearSkippedLookups();
+    processUsernamesThrottled();
+  }
+});
+
 // Listen for toggle changes from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'extensionToggle') {
-    extensionEnabled = request.enabled;
-    console.log('Extension toggled:', extensionEnabled);
-    
+    // Sent to every x.com/twitter.com tab when the global switch changes
+    globalEnabled = request.enabled;
+    console.log('Extension toggled:', globalEnabled);
+    updateActiveState();
+  } else if (request.type === 'tabToggle') {
+    // The popup's "This tab" switch
+    tabDisabled = request.disabled;
+    updateActiveState();
+  } else if (request.type === 'refreshVisible') {
+    // Keyboard shortcut - nothing to refresh while flags are off, paused or not shown on this page
     if (extensionEnabled) {
-      // Re-initialize if enabled
-      setTimeout(() => {
-        processUsernamesThrottled();
-      }, 500);
-    } else {
-      // Remove all flags if disabled
-      removeAllFlags();
+      refreshVisibleLocations();
+    }
+  } else if (request.type === 'contextMenuAction') {
+    // Right-click on a profile link ('lookup', 'refresh', 'copy' or 'exclude')
+    handleContextMenuAction(request.action, request.screenName);
+  } else if (request.type === 'fetchLocations') {
+    // Background worker picked this tab to make a batch of queued requests
+    if (!processingStarted || !pageChannelReady) {
+      // Tabs that never became active don't use their page script - the background tries another tab
+      sendResponse({ error: 'Page script not connected in this tab', unavailable: true });
+      return;
+    }
+    makeLocationRequests(request.screenNames).then(results => sendResponse({ results }));
+    return true; // Keep the channel open for the async response
+  } else if (request.type === 'locationResolved') {
+    // A transient failure succeeded on retry - replace its indicator with the flag
+    saveCacheEntry(request.screenName, request.entry);
+    if (extensionEnabled) {
+      processUsernamesThrottled();
+    }
+  } else if (request.type === 'cacheUpdated') {
+    // Entries were imported from the popup - forget what this tab knew and flag any new matches
+    locationCache.clear();
+    uncachedAccounts.clear();
+    if (extensionEnabled) {
+      processUsernamesThrottled();
     }
-  } else if (request.type === 'resetStats') {
-    // Clear in-memory statistics
-    locationStats.clear();
-    console.log('Statistics reset');
   }
 });
 
-// Load cache from persistent storage
-async function loadCache() {
+// Fetch the cache entries of accounts this tab hasn't seen yet from the background's IndexedDB store
+async function loadCacheEntries(screenNames) {
+  const usernames = [...new Set(screenNames)].filter(name => !locationCache.has(name) && !uncachedAccounts.has(name));
+  if (usernames.length === 0 || !isExtensionContextValid()) {
+    return;
+  }
+  
   try {
-    if (!isExtensionContextValid()) {
-      console.log('Extension context invalidated, skipping cache load');
-      return;
+    const response = await chrome.runtime.sendMessage({ type: 'getCacheEntries', usernames });
+    if (response?.error) {
+      throw new Error(response.error);
     }
-    
-    const result = await chrome.storage.local.get(CACHE_KEY);
-    if (result[CACHE_KEY]) {
-      const cached = result[CACHE_KEY];
-      const now = Date.now();
-      
-      // Filter out expired entries (including null entries that expired)
-      for (const [username, data] of Object.entries(cached)) {
-        if (data.expiry && data.expiry > now) {
-          locationCache.set(username, {
-            location: data.location,
-            expiry: data.expiry
-          });
-          
-          // Rebuild stats from cache
-          if (data.location !== null) {
-            if (!locationStats.has(data.location)) {
-              locationStats.set(data.location, new Set());
-            }
-            locationStats.get(data.location).add(username);
-          }
-        }
+    // Background only returns unexpired entries
+    const entries = response?.entries || {};
+    if (uncachedAccounts.size > LOCATION_CACHE_SIZE) {
+      uncachedAccounts.clear();
+    }
+    for (const username of usernames) {
+      if (entries[username]) {
+        saveCacheEntry(username, entries[username]);
+      } else {
+        uncachedAccounts.add(username);
       }
-      const validCount = Array.from(locationCache.values()).filter(e => e.location !== null).length;
-      const nullCount = Array.from(locationCache.values()).filter(e => e.location === null).length;
-      console.log(`Loaded ${locationCache.size} cached entries (${validCount} valid, ${nullCount} null)`);
-      console.log(`Rebuilt stats for ${locationStats.size} locations`);
     }
   } catch (error) {
     // Extension context invalidated errors are expected when extension is reloaded
@@ -133,7 +213,7 @@ async function loadCache() {
         error.message?.includes('message port closed')) {
       console.log('Extension context invalidated, cache load skipped');
     } else {
-      console.error('Error loading cache:', error);
+      console.error('Error loading cache entries:', error);
     }
   }
 }
@@ -142,352 +222,230 @@ function isExtensionContextValid() {
   return !!chrome.runtime?.id;
 }
 
-function calculateExpiry(location, now = Date.now()) {
-  const days = location === null ? NULL_CACHE_EXPIRY_DAYS : CACHE_EXPIRY_DAYS;
-  return now + (days * 24 * 60 * 60 * 1000);
+// Add an entry persisted by the background to the in-memory cache, evicting the least recently used
+function saveCacheEntry(username, entry) {
+  locationCache.delete(username);
+  uncachedAccounts.delete(username);
+  locationCache.set(username, {
+    location: entry.location,
+    status: getLookupStatus(entry),
+    expiry: entry.expiry,
+    cachedAt: entry.cachedAt,
+    previousLocation: entry.previousLocation || null,
+    changedAt: entry.changedAt || null,
+    aboutProfile: entry.aboutProfile || null,
+    accountInfo: entry.accountInfo || null
+  });
+  
+  if (locationCache.size > LOCATION_CACHE_SIZE) {
+    locationCache.delete(locationCache.keys().next().value);
+  }
 }
 
-async function canWriteToStorage() {
-  if (!isExtensionContextValid() || !chrome.storage?.local?.getBytesInUse) {
-    return false;
+// Count a lookup answered from this tab's cache - the background only sees the misses
+function countCacheHit() {
+  unreportedCacheHits++;
+  if (!cacheHitFlushTimeout) {
+    cacheHitFlushTimeout = setTimeout(flushCacheHits, CACHE_HIT_FLUSH_DELAY);
   }
-  try {
-    const bytesUsed = await chrome.storage.local.getBytesInUse(null);
-    const percentUsed = Math.floor((bytesUsed / STORAGE_QUOTA_BYTES) * 100);
-    return percentUsed < STORAGE_LOG_THRESHOLD;
-  } catch (error) {
-    console.error('Error checking storage:', error);
-    return false;
+}
+
+function flushCacheHits() {
+  clearTimeout(cacheHitFlushTimeout);
+  cacheHitFlushTimeout = null;
+  if (unreportedCacheHits === 0 || !isExtensionContextValid()) return;
+  
+  const count = unreportedCacheHits;
+  unreportedCacheHits = 0;
+  chrome.runtime.sendMessage({ type: 'recordCacheHits', count }).catch(() => {});
+}
+
+// Helper: Cache entry for an account, marked as recently used
+function getCachedEntry(username) {
+  const entry = locationCache.get(username);
+  if (entry) {
+    locationCache.delete(username);
+    locationCache.set(username, entry);
   }
+  return entry;
 }
 
-// Check storage usage and log at 10% increments
-async function checkStorageUsage() {
-  try {
-    if (!isExtensionContextValid() || !chrome.storage?.local?.getBytesInUse) {
-      return null;
+// Start listening to the page script, which runs in the page's context (to use fetch with its cookies)
+// from document_start - messages it sent before now are delivered as each handler is registered
+function connectPageScript() {
+  // Messages from the page script arrive over the private channel, already validated
+  onPageMessage('__channelReady', sendEndpointToPageScript);
+  onPageMessage('__locationResponse', handleLocationResponse);
+  onPageMessage('__capturedLocations', data => storeCapturedLocations(data.locations));
+  onPageMessage('__endpointLearned', data => saveEndpoint(data.endpoint));
+  onPageMessage('__capturedAccounts', data => rememberAccountFacts(data.accounts));
+  
+  // Another tab learned a newer endpoint
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[ENDPOINT_KEY]?.newValue) {
+      postEndpointConfig(changes[ENDPOINT_KEY].newValue);
     }
-    
-    const bytesUsed = await chrome.storage.local.getBytesInUse(null);
-    const percentUsed = Math.floor((bytesUsed / STORAGE_QUOTA_BYTES) * 100);
-    
-    // Log at 10% increments (10%, 20%, 30%, etc.)
-    const logThreshold = Math.floor(percentUsed / 10) * 10;
-    
-    // Always log if we're at or above threshold, or if we've crossed a new 10% threshold
-    const shouldLog = (logThreshold > lastLoggedStoragePercent && logThreshold >= 10) || 
-                      (percentUsed >= STORAGE_LOG_THRESHOLD && lastLoggedStoragePercent < STORAGE_LOG_THRESHOLD);
-    
-    if (shouldLog) {
-      const mbUsed = (bytesUsed / (1024 * 1024)).toFixed(2);
-      const mbQuota = (STORAGE_QUOTA_BYTES / (1024 * 1024)).toFixed(0);
-      console.warn(`📦 Storage usage: ${percentUsed}% (${mbUsed}MB / ${mbQuota}MB)`);
-      lastLoggedStoragePercent = logThreshold;
-    }
-    
-    return percentUsed;
-  } catch (error) {
-    console.error('Error checking storage usage:', error);
-    return null;
-  }
+  });
+}
+
+function postEndpointConfig(endpoint) {
+  postToPageScript({ type: '__endpointConfig', endpoint });
 }
 
-// Save cache to persistent storage (batch save)
-async function saveCache() {
+// Hand the last known good endpoint to the page script (it falls back to its built-in query ID)
+async function sendEndpointToPageScript() {
   try {
-    if (!isExtensionContextValid()) {
-      console.log('Extension context invalidated, skipping cache save');
-      return;
-    }
-    
-    if (!(await canWriteToStorage())) {
-      const percent = await checkStorageUsage();
-      console.error(`❌ Storage at ${percent}% - cannot save cache. Please upgrade storage method.`);
-      return;
-    }
-    
-    const cacheObj = {};
-    const now = Date.now();
-    
-    for (const [username, entry] of locationCache.entries()) {
-      const expiry = entry.expiry || calculateExpiry(entry.location, now);
-      cacheObj[username] = {
-        location: entry.location,
-        expiry: expiry,
-        cachedAt: entry.cachedAt || now
-      };
+    const result = await chrome.storage.local.get(ENDPOINT_KEY);
+    if (result[ENDPOINT_KEY]) {
+      postEndpointConfig(result[ENDPOINT_KEY]);
     }
-    
-    // Save cache and stats together
-    const statsObj = {};
-    for (const [location, usernames] of locationStats.entries()) {
-      statsObj[location] = usernames.size;
-    }
-    
-    await chrome.storage.local.set({
-      [CACHE_KEY]: cacheObj,
-      [STATS_KEY]: statsObj
-    });
-    
-    await checkStorageUsage();
   } catch (error) {
-    if (error.message?.includes('Extension context invalidated') || 
-        error.message?.includes('message port closed')) {
-      console.log('Extension context invalidated, cache save skipped');
-    } else {
-      console.error('Error saving cache:', error);
-    }
+    console.error('Error loading AboutAccountQuery endpoint:', error);
   }
 }
 
-// Load statistics from persistent storage
-async function loadStats() {
+async function saveEndpoint(endpoint) {
+  if (!endpoint?.queryId || !isExtensionContextValid()) return;
+  
   try {
-    if (!isExtensionContextValid()) {
-      console.log('Extension context invalidated, skipping stats load');
+    const result = await chrome.storage.local.get(ENDPOINT_KEY);
+    if (result[ENDPOINT_KEY]?.queryId === endpoint.queryId &&
+        JSON.stringify(result[ENDPOINT_KEY].features) === JSON.stringify(endpoint.features)) {
       return;
     }
-    
-    const result = await chrome.storage.local.get(STATS_KEY);
-    if (result[STATS_KEY]) {
-      const stats = result[STATS_KEY];
-      // Convert counts back to Sets for deduplication (we'll rebuild from cache)
-      // For now, just store the counts - we'll rebuild Sets as we process new entries
-      console.log(`Loaded stats for ${Object.keys(stats).length} locations`);
-    }
+    await chrome.storage.local.set({ [ENDPOINT_KEY]: { ...endpoint, learnedAt: Date.now() } });
+    console.log(`💾 Saved AboutAccountQuery endpoint ${endpoint.queryId}`);
   } catch (error) {
-    console.error('Error loading stats:', error);
+    console.error('Error saving AboutAccountQuery endpoint:', error);
   }
 }
 
-
-// Update statistics when a location is cached
-function updateStats(username, location) {
-  if (!location) {
-    return; // Don't track null locations
-  }
-  
-  if (!locationStats.has(location)) {
-    locationStats.set(location, new Set());
-  }
-  
-  const usernames = locationStats.get(location);
-  if (!usernames.has(username)) {
-    usernames.add(username);
-    // Stats will be saved with cache (debounced)
-  }
-}
-
-// Add a single entry to cache and trigger debounced save
-function saveCacheEntry(username, location) {
-  if (!isExtensionContextValid()) {
+// Persist captured locations through the background and show their flags (no API calls needed)
+async function storeCapturedLocations(locations) {
+  if (!Array.isArray(locations) || locations.length === 0 || !isExtensionContextValid()) {
     return;
   }
   
-  const now = Date.now();
-  locationCache.set(username, {
-    location: location,
-    expiry: calculateExpiry(location, now),
-    cachedAt: now
-  });
-  
-  // Update statistics for non-null locations
-  if (location !== null) {
-    updateStats(username, location);
-  }
-  
-  // Debounce saves
-  if (!saveCache.timeout) {
-    saveCache.timeout = setTimeout(async () => {
-      await saveCache();
-      saveCache.timeout = null;
-    }, CACHE_SAVE_INTERVAL);
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'storeCapturedLocations', locations });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    for (const entry of response?.entries || []) {
+      saveCacheEntry(entry.username, entry);
+    }
+    console.log(`📥 Cached ${locations.length} location${locations.length > 1 ? 's' : ''} captured from Twitter's responses`);
+    
+    if (extensionEnabled) {
+      processUsernamesThrottled();
+    }
+  } catch (error) {
+    console.error('Error storing captured locations:', error);
   }
 }
 
-// Inject script into page context to access fetch with proper cookies
-function injectPageScript() {
-  const script = document.createElement('script');
-  script.src = chrome.runtime.getURL('pageScript.js');
-  script.onload = function() {
-    this.remove();
-  };
-  (document.head || document.documentElement).appendChild(script);
-  
-  // Listen for rate limit info from page script
-  window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
-    if (event.data && event.data.type === '__rateLimitInfo') {
-      consecutiveRateLimits++;
-      const baseWaitMinutes = BASE_BACKOFF_MINUTES * Math.pow(2, consecutiveRateLimits - 1);
-      const exponentialWaitSeconds = baseWaitMinutes * 60;
-      
-      // Use the longer of: API-reported reset time or exponential backoff
-      const apiResetTime = event.data.resetTime;
-      const exponentialResetTime = Math.floor(Date.now() / 1000) + exponentialWaitSeconds;
-      
-      rateLimitResetTime = Math.max(apiResetTime, exponentialResetTime);
-      
-      const waitMinutes = Math.ceil((rateLimitResetTime - Math.floor(Date.now() / 1000)) / 60);
-      console.warn(`🚫 RATE LIMIT #${consecutiveRateLimits}: Exponential backoff active. Will resume in ${waitMinutes} minutes (backoff: ${baseWaitMinutes}min base × 2^${consecutiveRateLimits - 1})`);
-    }
+// Make actual API requests - one round trip to the page script for the whole batch
+// Resolves with one result per screen name, in the same order
+function makeLocationRequests(screenNames) {
+  return new Promise((resolve) => {
+    const requestId = ++pageRequestId;
+    const results = new Map();
+    
+    const finish = () => {
+      pendingPageRequests.delete(requestId);
+      clearTimeout(timeout);
+      resolve(screenNames.map(screenName => {
+        if (results.has(screenName)) return results.get(screenName);
+        // Don't cache timeout failures - allow retry
+        console.log(`Request timeout for ${screenName}, not caching`);
+        return { location: null, status: LOOKUP_STATUS.TIMEOUT, isRateLimited: false };
+      }));
+    };
+    // The last request of the batch starts (n - 1) spacings after the first
+    const timeout = setTimeout(finish, settings.requestTimeout + PAGE_BATCH_SPACING * (screenNames.length - 1));
+    pendingPageRequests.set(requestId, { screenNames, results, finish });
+    
+    postToPageScript({ type: '__fetchLocations', screenNames, requestId, spacing: PAGE_BATCH_SPACING });
   });
 }
 
-function isRateLimited() {
-  if (rateLimitResetTime === 0) return false;
-  const now = Math.floor(Date.now() / 1000);
-  return now < rateLimitResetTime;
-}
-
-function resetRateLimit() {
-  if (consecutiveRateLimits > 0) {
-    console.log(`✅ Rate limit cleared after ${consecutiveRateLimits} consecutive limit${consecutiveRateLimits > 1 ? 's' : ''}. Resuming normal operation.`);
+// Answer from the page script - only for a request we made, about an account we asked for
+function handleLocationResponse(data) {
+  const pending = pendingPageRequests.get(data.requestId);
+  if (!pending || !pending.screenNames.includes(data.screenName) || pending.results.has(data.screenName)) return;
+  
+  pending.results.set(data.screenName, {
+    location: data.location || null,
+    aboutProfile: data.aboutProfile || null,
+    accountInfo: data.accountInfo || null,
+    status: data.status || null,
+    isRateLimited: data.isRateLimited || false,
+    rateLimitReset: data.rateLimitReset || null,
+    rateLimit: data.rateLimit || null,
+    endpointBroken: data.endpointBroken || false
+  });
+  if (pending.results.size === pending.screenNames.length) {
+    pending.finish();
   }
-  rateLimitResetTime = 0;
-  consecutiveRateLimits = 0;
 }
 
-// Process request queue with rate limiting
-async function processRequestQueue() {
-  if (isProcessingQueue || requestQueue.length === 0) {
-    return;
-  }
-  
-  // Check if we're rate limited
-  if (isRateLimited()) {
-    const now = Math.floor(Date.now() / 1000);
-    const waitTime = (rateLimitResetTime - now) * 1000;
-    const waitMinutes = Math.ceil(waitTime / 1000 / 60);
-    console.log(`⏸️  Rate limited. Waiting ${waitMinutes} minutes... (${consecutiveRateLimits} consecutive rate limit${consecutiveRateLimits > 1 ? 's' : ''})`);
-    
-    // Reject pending requests
-    while (requestQueue.length > 0) {
-      requestQueue.shift().reject(new Error('Rate limited'));
-    }
-    
-    setTimeout(processRequestQueue, Math.min(waitTime, 60000));
-    return;
+// Ask the background worker for a location - it owns the queue shared by all tabs
+// force skips the background's cache so the account is fetched again; priority orders the queue (lookupPriority.js)
+// Returns the background's answer: { location, status, expiry?, transient?, isRateLimited? }
+async function requestLocation(screenName, force = false, priority = LOOKUP_PRIORITY.VISIBLE) {
+  if (!isExtensionContextValid()) {
+    return { location: null, status: null };
   }
   
-  // Rate limit expired, reset if needed
-  if (rateLimitResetTime > 0) {
-    resetRateLimit();
+  const response = await chrome.runtime.sendMessage({ type: 'getLocation', screenName, force, priority });
+  if (!response || response.error) {
+    throw new Error(response?.error || 'No response from background');
   }
   
-  if (requestQueue.length > 0) {
-    console.log(`Processing queue: ${requestQueue.length} requests pending, ${activeRequests} active`);
+  // Background only returns an expiry for answers it cached (not rate limits or transient failures)
+  if (response.expiry) {
+    saveCacheEntry(screenName, response);
   }
   
-  isProcessingQueue = true;
-  
-  while (requestQueue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    
-    // Wait if needed to respect rate limit
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-      await new Promise(resolve => setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest));
-    }
-    
-    const { screenName, resolve, reject } = requestQueue.shift();
-    activeRequests++;
-    lastRequestTime = Date.now();
-    
-    // Make the request
-    try {
-      const location = await makeLocationRequest(screenName);
-      // Successful request - reset consecutive rate limit counter
-      if (consecutiveRateLimits > 0) {
-        console.log(`✅ Successful request after ${consecutiveRateLimits} rate limit${consecutiveRateLimits > 1 ? 's' : ''}. Resetting backoff.`);
-        consecutiveRateLimits = 0;
-      }
-      resolve(location);
-    } catch (error) {
-      reject(error);
-    } finally {
-      activeRequests--;
-      setTimeout(processRequestQueue, 200);
-    }
-  }
-  
-  isProcessingQueue = false;
-}
-
-// Make actual API request
-function makeLocationRequest(screenName) {
-  return new Promise((resolve, reject) => {
-    const requestId = Date.now() + Math.random();
-    
-    // Listen for response via postMessage
-    const handler = (event) => {
-      // Only accept messages from the page (not from extension)
-      if (event.source !== window) return;
-      
-      if (event.data && 
-          event.data.type === '__locationResponse' &&
-          event.data.screenName === screenName && 
-          event.data.requestId === requestId) {
-        window.removeEventListener('message', handler);
-        const location = event.data.location;
-        const isRateLimited = event.data.isRateLimited || false;
-        
-        // Only cache if not rate limited (don't cache failures due to rate limiting)
-        if (!isRateLimited) {
-          saveCacheEntry(screenName, location || null);
-        } else {
-          console.warn(`⚠️  Not caching null for ${screenName} due to rate limit`);
-        }
-        
-        resolve(location || null);
-      }
-    };
-    window.addEventListener('message', handler);
-    
-    // Send fetch request to page script via postMessage
-    window.postMessage({
-      type: '__fetchLocation',
-      screenName,
-      requestId
-    }, '*');
-    
-    // Timeout
-    setTimeout(() => {
-      window.removeEventListener('message', handler);
-      // Remove from pending requests on timeout
-      pendingLocationRequests.delete(screenName);
-      // Don't cache timeout failures - allow retry
-      console.log(`Request timeout for ${screenName}, not caching`);
-      resolve(null);
-    }, REQUEST_TIMEOUT);
-  });
+  return response;
 }
 
-// Helper: Convert location string to location info object
-function createLocationInfo(location) {
+// Helper: Convert location string (and its cache entry or lookup response, for status and change history) to location info object
+function createLocationInfo(location, cacheEntry = null) {
   if (!location) {
-    return { location: null, flag: null, displayText: null };
+    // No status for answers that say nothing about the account (rate limited, extension reloaded)
+    const status = cacheEntry?.status || null;
+    return { location: null, status, flag: null, countryCode: null, displayText: null, previousLocation: null, changedAt: null };
   }
-  const flag = getCountryFlag(location);
+  const country = getCountryInfo(location);
+  const flag = country?.flag || null;
+  // Entries cached soon after a change outlive the change window
+  const recentChange = isRecentLocationChange(cacheEntry?.changedAt);
   return {
     location,
+    status: LOOKUP_STATUS.OK,
     flag,
-    displayText: flag || `(${location})`
+    countryCode: country?.code || null,
+    displayText: flag || `(${location})`,
+    previousLocation: recentChange ? cacheEntry.previousLocation || null : null,
+    changedAt: recentChange ? cacheEntry.changedAt : null
   };
 }
 
 // Get location for a username (checks cache first, then API)
-// Returns: { location: string|null, flag: string|null, displayText: string }
-async function getLocation(screenName) {
+// Pass { force: true } to bypass the cache and fetch again, and a priority for where it goes in the queue
+// Returns: { location, status, flag, countryCode, displayText, previousLocation, changedAt }
+async function getLocation(screenName, { force = false, priority = LOOKUP_PRIORITY.VISIBLE } = {}) {
   // Check cache first
-  if (locationCache.has(screenName)) {
-    const cached = locationCache.get(screenName);
+  const cached = force ? null : getCachedEntry(screenName);
+  if (cached) {
     const now = Date.now();
     
     if (cached.expiry && cached.expiry > now) {
-      const locationInfo = createLocationInfo(cached.location);
+      const locationInfo = createLocationInfo(cached.location, cached);
       const display = locationInfo.flag || locationInfo.displayText || 'null';
       console.log(`✅ CACHE HIT: @${screenName} → ${display} (${cached.location || 'no location'})`);
+      countCacheHit();
       return locationInfo;
     }
     
@@ -499,49 +457,84 @@ async function getLocation(screenName) {
   // Check if there's already a pending request for this username
   if (pendingLocationRequests.has(screenName)) {
     console.log(`⏳ Waiting for pending request for @${screenName}`);
-    const location = await pendingLocationRequests.get(screenName);
+    if (getLookupPriorityRank(priority) > getLookupPriorityRank(pendingLookupPriorities.get(screenName))) {
+      updateLookupPriority(screenName, priority);
+    }
+    const response = await pendingLocationRequests.get(screenName);
     
     // After waiting, check cache again - it might have been updated
     if (locationCache.has(screenName)) {
       const cached = locationCache.get(screenName);
       if (cached.expiry && cached.expiry > Date.now()) {
-        const locationInfo = createLocationInfo(cached.location);
+        const locationInfo = createLocationInfo(cached.location, cached);
         const display = locationInfo.flag || locationInfo.displayText || 'null';
         console.log(`✅ CACHE HIT (after wait): @${screenName} → ${display}`);
         return locationInfo;
       }
     }
     
-    return createLocationInfo(location);
-  }
-  
-  // Not in cache or expired, need to fetch from API
-  if (requestQueue.length >= MAX_QUEUE_SIZE) {
-    console.warn(`Queue full (${requestQueue.length}/${MAX_QUEUE_SIZE}), rejecting request for ${screenName}`);
-    return { location: null, flag: null, displayText: null };
+    return createLocationInfo(response.location || null, response);
   }
   
-  console.log(`📡 API REQUEST: @${screenName} (queue: ${requestQueue.length}/${MAX_QUEUE_SIZE})`);
-  
-  // Create the promise for this request and store it
-  const locationPromise = new Promise((resolve, reject) => {
-    requestQueue.push({ 
-      screenName, 
-      resolve: (location) => {
-        pendingLocationRequests.delete(screenName);
-        resolve(location);
-      }, 
-      reject: (error) => {
-        pendingLocationRequests.delete(screenName);
-        reject(error);
-      }
-    });
-    processRequestQueue();
+  // Not in cache or expired, ask the background queue
+  const locationPromise = requestLocation(screenName, force, priority).finally(() => {
+    pendingLocationRequests.delete(screenName);
+    pendingLookupPriorities.delete(screenName);
   });
   
   pendingLocationRequests.set(screenName, locationPromise);
-  const location = await locationPromise;
-  return createLocationInfo(location);
+  pendingLookupPriorities.set(screenName, priority);
+  const response = await locationPromise;
+  // Answers the background didn't cache (rate limits, transient failures) say nothing about the cached entry
+  return createLocationInfo(response.location || null, response.expiry ? locationCache.get(screenName) || response : response);
+}
+
+// Tell the background an account's queued lookup matters more or less to this tab now
+function updateLookupPriority(screenName, priority) {
+  if (!pendingLocationRequests.has(screenName) || pendingLookupPriorities.get(screenName) === priority) return;
+  pendingLookupPriorities.set(screenName, priority);
+  if (isExtensionContextValid()) {
+    chrome.runtime.sendMessage({ type: 'setLookupPriority', screenNames: [screenName], priority }).catch(() => {});
+  }
+}
+
+// Drop this tab's queued lookups - they were for the page we just left
+function cancelQueuedLookups() {
+  if (isExtensionContextValid()) {
+    chrome.runtime.sendMessage({ type: 'cancelLookups' }).catch(() => {});
+  }
+}
+
+// Watch a container while its lookup is queued, to demote or promote it as it scrolls
+function trackQueuedContainer(container, screenName) {
+  if (!queuedVisibilityObserver) {
+    queuedVisibilityObserver = new IntersectionObserver(handleQueuedVisibility);
+  }
+  queuedContainers.set(container, { screenName, visible: isInViewport(container) });
+  queuedVisibilityObserver.observe(container);
+}
+
+function untrackQueuedContainer(container) {
+  queuedContainers.delete(container);
+  queuedVisibilityObserver?.unobserve(container);
+}
+
+function handleQueuedVisibility(entries) {
+  const changed = new Set();
+  for (const entry of entries) {
+    const queued = queuedContainers.get(entry.target);
+    if (queued) {
+      queued.visible = entry.isIntersecting;
+      changed.add(queued.screenName);
+    }
+  }
+  
+  for (const screenName of changed) {
+    // Hovered lookups (hover card, context menu) don't depend on where the account is on the page
+    if (pendingLookupPriorities.get(screenName) === LOOKUP_PRIORITY.HOVERED) continue;
+    const visible = Array.from(queuedContainers.values()).some(queued => queued.screenName === screenName && queued.visible);
+    updateLookupPriority(screenName, visible ? LOOKUP_PRIORITY.VISIBLE : LOOKUP_PRIORITY.PREFETCH);
+  }
 }
 
 // Helper: Parse username from href
@@ -552,6 +545,8 @@ function parseUsernameFromLink(href) {
 }
 
 // Helper: Check if a string is a valid username
+// Syntax only - lookup rules (lookupRules.js) are applied per container in processVisibleUsernames,
+// since rejecting a handle here would make extractUsername fall through to a mentioned account
 function isValidUsername(username) {
   if (!username || username.length === 0 || username.length >= 20) return false;
   
@@ -599,15 +594,18 @@ function extractUsername(element) {
   
   for (const link of allLinks) {
     const username = parseUsernameFromLink(link.getAttribute('href'));
-    if (!username || seenUsernames.has(username) || !isValidUsername(username)) {
+    if (!username || !isValidUsername(username)) {
       continue;
     }
-    seenUsernames.add(username);
     
-    // Check if link text indicates it's a username
+    // Check if link text indicates it's a username (every link, since the display name link to the same account comes first)
     if (isUsernameLink(link, username)) {
       return username;
     }
+    if (seenUsernames.has(username)) {
+      continue;
+    }
+    seenUsernames.add(username);
     
     // Check if link is in a UserName container
     const parent = link.closest('[data-testid="UserName"], [data-testid="User-Name"]');
@@ -720,7 +718,7 @@ function createLoadingShimmer() {
 }
 
 // Function to add flag to username element
-async function addFlagToUsername(usernameElement, screenName) {
+async function addFlagToUsername(usernameElement, screenName, priority = LOOKUP_PRIORITY.VISIBLE) {
   // Check if flag already added
   if (usernameElement.dataset.flagAdded === 'true') {
     return;
@@ -757,6 +755,7 @@ async function addFlagToUsername(usernameElement, screenName) {
 
   // Mark as processing to avoid duplicate requests
   usernameElement.dataset.flagAdded = 'processing';
+  trackQueuedContainer(usernameElement, screenName);
   
   // Find User-Name container for shimmer placement
   const userNameContainer = usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
@@ -791,7 +790,7 @@ async function addFlagToUsername(usernameElement, screenName) {
     console.log(`Processing flag for ${screenName}...`);
 
     // Get location info (flag || country || region)
-    const locationInfo = await getLocation(screenName);
+    const locationInfo = await getLocation(screenName, { priority });
     
     // Remove shimmer
     if (shimmerInserted && shimmerSpan.parentNode) {
@@ -799,8 +798,17 @@ async function addFlagToUsername(usernameElement, screenName) {
     }
     
     if (!locationInfo || !locationInfo.location) {
-      console.log(`No location found for ${screenName}, marking as failed`);
-      usernameElement.dataset.flagAdded = 'failed';
+      addStatusIndicator(usernameElement, screenName, locationInfo?.status);
+      // A cached null means the account really has no location (not a rate limit or timeout) - the container
+      // is marked 'status' so rescans leave it alone instead of answering it from the cache (and counting a hit) again
+      if (locationCache.get(screenName)?.location === null) {
+        console.log(`No location for ${screenName} (${locationInfo.status})`);
+        usernameElement.dataset.flagAdded = 'status';
+        applyFilterRules(usernameElement, screenName, locationInfo);
+      } else {
+        console.log(`No location found for ${screenName} (${locationInfo?.status || 'unknown'}), marking as failed`);
+        usernameElement.dataset.flagAdded = 'failed';
+      }
       return;
     }
 
@@ -834,12 +842,17 @@ async function addFlagToUsername(usernameElement, screenName) {
     usernameElement.dataset.flagAdded = 'failed';
   } finally {
     // Note: pendingLocationRequests is cleaned up in getLocation() when promise resolves/rejects
+    untrackQueuedContainer(usernameElement);
   }
 }
 
 // Function to remove all flags (when extension is disabled)
 function removeAllFlags() {
-  const flags = document.querySelectorAll('[data-twitter-flag]');
+  hideHoverCard();
+  resetBreakdownPanel();
+  clearAllFilters();
+  
+  const flags = document.querySelectorAll('[data-twitter-flag], [data-twitter-flag-status], [data-twitter-flag-lookup], [data-twitter-flag-profile]');
   flags.forEach(flag => flag.remove());
   
   // Also remove any loading shimmers
@@ -864,7 +877,7 @@ function processUsernamesThrottled() {
   processUsernamesThrottleTimeout = setTimeout(() => {
     processUsernames();
     processUsernamesThrottleTimeout = null;
-  }, PROCESS_THROTTLE);
+  }, settings.processThrottle);
 }
 
 // Helper function to add flag to element
@@ -884,10 +897,156 @@ function addFlagToElement(usernameElement, screenName, locationInfo) {
     return false;
   }
   
+  // The flag replaces any "no location", error or click-to-lookup marker
+  usernameElement.querySelector('[data-twitter-flag-status]')?.remove();
+  usernameElement.querySelector('[data-twitter-flag-lookup]')?.remove();
+  
   // Create flag span
   const flagSpan = document.createElement('span');
-  flagSpan.textContent = ` ${locationInfo.displayText}`;
   flagSpan.setAttribute('data-twitter-flag', 'true');
+  flagSpan.dataset.screenName = screenName;
+  renderFlagContent(flagSpan, locationInfo);
+  attachHoverCard(flagSpan, screenName);
+  
+  // Try to insert flag
+  if (insertFlagElement(containerForFlag, flagSpan, screenName)) {
+    usernameElement.dataset.flagAdded = 'true';
+    applyFilterRules(usernameElement, screenName, locationInfo);
+    return true;
+  }
+  
+  return false;
+}
+
+// Create the "changed" marker shown after a flag, with the old value in its tooltip
+function createChangedMarker(locationInfo) {
+  const marker = document.createElement('span');
+  marker.textContent = '↻';
+  marker.setAttribute('data-twitter-flag-changed', 'true');
+  const changedDate = locationInfo.changedAt ? new Date(locationInfo.changedAt).toLocaleDateString() : 'recently';
+  marker.setAttribute('title', `Changed from ${locationInfo.previousLocation} to ${locationInfo.location} (${changedDate})`);
+  Object.assign(marker.style, {
+    marginLeft: '2px',
+    fontSize: '0.75em',
+    color: '#f4212e',
+    verticalAlign: 'super',
+    cursor: 'help'
+  });
+  return marker;
+}
+
+// Show a small marker for a lookup that found no location (no location, not found, suspended, error...)
+// Replaces any marker already in the container so a retried lookup updates it
+function addStatusIndicator(usernameElement, screenName, status) {
+  usernameElement.querySelector('[data-twitter-flag-status]')?.remove();
+  
+  const indicator = LOOKUP_STATUS_INDICATORS[status];
+  const containerForIndicator = usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+  if (!indicator || !containerForIndicator) return;
+  
+  const indicatorSpan = document.createElement('span');
+  indicatorSpan.setAttribute('data-twitter-flag-status', status);
+  indicatorSpan.textContent = indicator.symbol;
+  indicatorSpan.setAttribute('title', indicator.title);
+  Object.assign(indicatorSpan.style, {
+    marginLeft: '4px',
+    marginRight: '4px',
+    fontSize: '0.75em',
+    color: '#536471',
+    opacity: isTransientStatus(status) ? '0.5' : '0.7',
+    verticalAlign: 'middle',
+    cursor: 'help'
+  });
+  insertFlagElement(containerForIndicator, indicatorSpan, screenName);
+}
+
+// Put a small badge where the flag would go that looks the account up when clicked
+// Used in manual mode and for accounts skipped by lookup rules; the container is marked 'skipped'
+function addLookupBadge(usernameElement, screenName, symbol, title) {
+  usernameElement.dataset.flagAdded = 'skipped';
+  const containerForBadge = usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+  if (!containerForBadge || usernameElement.querySelector('[data-twitter-flag-lookup]')) return;
+  
+  const badge = document.createElement('span');
+  badge.setAttribute('data-twitter-flag-lookup', 'true');
+  badge.setAttribute('role', 'button');
+  badge.setAttribute('title', title);
+  badge.textContent = symbol;
+  Object.assign(badge.style, {
+    marginLeft: '4px',
+    marginRight: '4px',
+    fontSize: '0.75em',
+    color: '#536471',
+    opacity: '0.5',
+    verticalAlign: 'middle',
+    cursor: 'pointer'
+  });
+  badge.addEventListener('click', (event) => {
+    // Badges sit inside profile links - don't navigate
+    event.preventDefault();
+    event.stopPropagation();
+    badge.remove();
+    delete usernameElement.dataset.flagAdded;
+    addFlagToUsername(usernameElement, screenName).catch(error => {
+      console.error(`Error looking up ${screenName}:`, error);
+      usernameElement.dataset.flagAdded = 'failed';
+    });
+  });
+  
+  insertFlagElement(containerForBadge, badge, screenName);
+}
+
+// Returns true if this uncached container should get a click-to-lookup badge instead of a request
+function deferLookup(usernameElement, screenName) {
+  if (lookupMode === LOOKUP_MODE_MANUAL) {
+    addLookupBadge(usernameElement, screenName, '?', 'Click to look up location');
+    return true;
+  }
+  return skipLookupByRules(usernameElement, screenName);
+}
+
+// Fetch an account again, bypassing the cache, and redraw its flags on the page
+// Returns the new location info, or null if there was no new answer (error, rate limit, transient failure) -
+// the flags drawn from the cache are kept then
+async function refreshLocation(screenName, priority = LOOKUP_PRIORITY.VISIBLE) {
+  let locationInfo;
+  try {
+    locationInfo = await getLocation(screenName, { force: true, priority });
+  } catch (error) {
+    console.error(`Error refreshing ${screenName}:`, error);
+    return null;
+  }
+  
+  // Only answers the background cached have a status that isn't transient (rate limits have none)
+  if (!locationInfo.status || isTransientStatus(locationInfo.status)) {
+    console.log(`Refresh of ${screenName} got no answer (${locationInfo.status || 'rate limited'}), keeping its flags`);
+    return null;
+  }
+  
+  document.querySelectorAll('[data-twitter-flag]').forEach(flag => {
+    if (flag.dataset.screenName !== screenName) return;
+    if (locationInfo.location) {
+      renderFlagContent(flag, locationInfo);
+    } else if (flag !== hoverCardAnchor) {
+      // Keep the flag the open card is anchored to until the card closes
+      flag.remove();
+    }
+  });
+  // Containers that showed "no location" aren't rescanned, so give them the new flag here
+  if (locationInfo.location) {
+    document.querySelectorAll('[data-flag-added="status"]').forEach(container => {
+      if (extractUsername(container) === screenName) {
+        addFlagFromCache(container, screenName);
+      }
+    });
+  }
+  refreshProfileHeader(screenName);
+  return locationInfo;
+}
+
+// Set a flag span's text, tooltip and style from location info (also used to redraw after a refresh)
+function renderFlagContent(flagSpan, locationInfo) {
+  flagSpan.textContent = ` ${locationInfo.displayText}`;
   flagSpan.setAttribute('title', locationInfo.location);
   Object.assign(flagSpan.style, {
     marginLeft: '4px',
@@ -899,34 +1058,40 @@ function addFlagToElement(usernameElement, screenName, locationInfo) {
     opacity: locationInfo.flag ? '1' : '0.7'
   });
   
-  // Try to insert flag
-  if (insertFlagElement(containerForFlag, flagSpan, screenName)) {
-    usernameElement.dataset.flagAdded = 'true';
-    updateStats(screenName, locationInfo.location);
-    return true;
+  // Mark accounts whose location changed since we last fetched it
+  if (locationInfo.previousLocation) {
+    flagSpan.appendChild(createChangedMarker(locationInfo));
   }
-  
-  return false;
 }
 
 // Check cache and add flag immediately if cached
 function addFlagFromCache(container, screenName) {
-  if (!locationCache.has(screenName)) return false;
+  const cached = getCachedEntry(screenName);
+  if (!cached) return false;
   
-  const cached = locationCache.get(screenName);
   const now = Date.now();
   
   if (cached.expiry && cached.expiry > now && cached.location !== null) {
-    const locationInfo = createLocationInfo(cached.location);
+    const locationInfo = createLocationInfo(cached.location, cached);
     if (addFlagToElement(container, screenName, locationInfo)) {
       const display = locationInfo.flag || locationInfo.displayText || 'null';
       console.log(`✅ CACHE HIT (display): @${screenName} → ${display}`);
+      countCacheHit();
       return true;
     }
   }
   return false;
 }
 
+// Consider visible if any part is in viewport
+function isInViewport(element, viewportHeight = window.innerHeight, viewportWidth = window.innerWidth) {
+  const rect = element.getBoundingClientRect();
+  return rect.top < viewportHeight && 
+         rect.bottom > 0 && 
+         rect.left < viewportWidth && 
+         rect.right > 0;
+}
+
 // Process visible usernames only
 async function processVisibleUsernames(containers) {
   const visibleContainers = [];
@@ -937,14 +1102,7 @@ async function processVisibleUsernames(containers) {
   const viewportWidth = window.innerWidth;
   
   for (const container of containers) {
-    const rect = container.getBoundingClientRect();
-    // Consider visible if any part is in viewport
-    const isVisible = rect.top < viewportHeight && 
-                     rect.bottom > 0 && 
-                     rect.left < viewportWidth && 
-                     rect.right > 0;
-    
-    if (isVisible) {
+    if (isInViewport(container, viewportHeight, viewportWidth)) {
       visibleContainers.push(container);
     } else {
       offScreenContainers.push(container);
@@ -953,6 +1111,9 @@ async function processVisibleUsernames(containers) {
   
   console.log(`Found ${visibleContainers.length} visible and ${offScreenContainers.length} off-screen containers`);
   
+  // Bring the cache entries of new accounts over from the background in one message
+  await loadCacheEntries(Array.from(containers, extractUsername).filter(Boolean));
+  
   // First pass: Check cache for all visible containers and display immediately
   let cachedCount = 0;
   const uncachedContainers = [];
@@ -960,12 +1121,13 @@ async function processVisibleUsernames(containers) {
   for (const container of visibleContainers) {
     const screenName = extractUsername(container);
     if (screenName) {
+      recordSighting(screenName);
       const status = container.dataset.flagAdded;
-      if (!status || status === 'failed') {
-        // Check cache first
+      if (!status || status === 'failed' || status === 'skipped') {
+        // Check cache first (lookup rules only stop new requests, never cached flags)
         if (addFlagFromCache(container, screenName)) {
           cachedCount++;
-        } else {
+        } else if (!deferLookup(container, screenName)) {
           // Not in cache, will need API call
           uncachedContainers.push(container);
         }
@@ -991,9 +1153,8 @@ async function processVisibleUsernames(containers) {
   const uniqueUsernameList = Array.from(uniqueUsernames.keys());
   console.log(`Processing ${uniqueUsernameList.length} unique usernames (from ${uncachedContainers.length} containers)`);
   
-  // Process unique usernames one at a time to respect rate limits
-  for (let i = 0; i < uniqueUsernameList.length; i++) {
-    const screenName = uniqueUsernameList[i];
+  // Look up one username, then copy its flag to the other containers with the same username
+  const processUniqueUsername = async (screenName) => {
     const containers = uniqueUsernames.get(screenName);
     
     // Process first container (will trigger API call if needed)
@@ -1009,7 +1170,7 @@ async function processVisibleUsernames(containers) {
         if (locationCache.has(screenName)) {
           const cached = locationCache.get(screenName);
           if (cached.expiry && cached.expiry > Date.now() && cached.location) {
-            const locationInfo = createLocationInfo(cached.location);
+            const locationInfo = createLocationInfo(cached.location, cached);
             for (let j = 1; j < containers.length; j++) {
               addFlagToElement(containers[j], screenName, locationInfo);
             }
@@ -1017,10 +1178,16 @@ async function processVisibleUsernames(containers) {
         }
       }
     }
+  };
+  
+  // Ask for a round trip's worth of usernames at once so the background can batch them
+  const batchSize = settings.requestBatchSize;
+  for (let i = 0; i < uniqueUsernameList.length; i += batchSize) {
+    await Promise.all(uniqueUsernameList.slice(i, i + batchSize).map(processUniqueUsername));
     
-    // Wait between requests to respect rate limits (except for last one)
-    if (i < uniqueUsernameList.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
+    // Wait between batches to respect rate limits (except after the last one)
+    if (i + batchSize < uniqueUsernameList.length) {
+      await new Promise(resolve => setTimeout(resolve, settings.batchDelay));
     }
   }
   
@@ -1029,9 +1196,9 @@ async function processVisibleUsernames(containers) {
     const screenName = extractUsername(container);
     if (screenName) {
       const status = container.dataset.flagAdded;
-      if (!status || status === 'failed') {
+      if (!status || status === 'failed' || status === 'skipped') {
         // Check cache first - if cached, add flag immediately
-        if (!addFlagFromCache(container, screenName)) {
+        if (!addFlagFromCache(container, screenName) && !deferLookup(container, screenName)) {
           // Not cached, will need API call when scrolled into view
           container.dataset.flagNeedsApi = 'true';
         }
@@ -1039,9 +1206,11 @@ async function processVisibleUsernames(containers) {
     }
   }
   
-  // Set up IntersectionObserver for off-screen elements that need API calls
+  // Set up IntersectionObserver for off-screen elements that need API calls - they are prefetched once
+  // within PREFETCH_MARGIN of the viewport, and promoted to visible priority if they scroll on screen while queued
   const uncachedOffScreen = offScreenContainers.filter(c => c.dataset.flagNeedsApi === 'true');
-  if (uncachedOffScreen.length > 0 && !intersectionObserver) {
+  if (uncachedOffScreen.length === 0) return;
+  if (!intersectionObserver) {
     intersectionObserver = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
@@ -1050,10 +1219,11 @@ async function processVisibleUsernames(containers) {
           if (screenName) {
             const status = container.dataset.flagAdded;
             if (!status || status === 'failed') {
-              // Double-check cache in case it was added while scrolling
-              if (!addFlagFromCache(container, screenName)) {
+              // Double-check cache in case it was added while scrolling (mode or rules may have changed too)
+              if (!addFlagFromCache(container, screenName) && !deferLookup(container, screenName)) {
                 // Still not cached, make API call
-                addFlagToUsername(container, screenName).catch(err => {
+                const priority = isInViewport(container) ? LOOKUP_PRIORITY.VISIBLE : LOOKUP_PRIORITY.PREFETCH;
+                addFlagToUsername(container, screenName, priority).catch(err => {
                   console.error(`Error processing ${screenName}:`, err);
                   container.dataset.flagAdded = 'failed';
                 });
@@ -1063,13 +1233,13 @@ async function processVisibleUsernames(containers) {
           intersectionObserver.unobserve(container);
         }
       });
-    }, { threshold: 0.1 });
-    
-    // Observe only uncached off-screen containers
-    uncachedOffScreen.forEach(container => {
-      intersectionObserver.observe(container);
-    });
+    }, { rootMargin: PREFETCH_MARGIN, threshold: 0.1 });
   }
+  
+  // Observe only uncached off-screen containers (observing one twice is a no-op)
+  uncachedOffScreen.forEach(container => {
+    intersectionObserver.observe(container);
+  });
 }
 
 // Function to process all username elements on the page
@@ -1080,7 +1250,11 @@ async function processUsernames() {
   }
   
   // Find all tweet/article containers and user cells
-  const containers = document.querySelectorAll('article[data-testid="tweet"], [data-testid="UserCell"], [data-testid="User-Names"], [data-testid="User-Name"]');
+  // Profile pages also get a "Based in" item in the header (it renders late, so check on every scan)
+  updateProfileHeader();
+  updateBreakdownPanel();
+  
+  const containers = document.querySelectorAll(USERNAME_CONTAINER_SELECTOR);
   
   console.log(`Processing ${containers.length} containers for usernames`);
   
@@ -1110,41 +1284,69 @@ function setupObservers() {
     childList: true,
     subtree: true
   });
-  
-  // Navigation observer for SPA navigation
-  let lastUrl = location.href;
-  new MutationObserver(() => {
-    const url = location.href;
-    if (url !== lastUrl) {
-      lastUrl = url;
-      console.log('Page navigation detected, reprocessing usernames');
-      setTimeout(processUsernamesThrottled, INIT_DELAY);
+}
+
+// SPA navigation - the page script reports pushState/replaceState (__routeChanged)
+let lastUrl = location.href;
+function handleRouteChange() {
+  const url = location.href;
+  if (url === lastUrl) return;
+  if (new URL(url).pathname !== new URL(lastUrl).pathname) {
+    cancelQueuedLookups();
+  }
+  lastUrl = url;
+  
+  const wasEnabled = extensionEnabled;
+  updateActiveState(INIT_DELAY);
+  if (wasEnabled && extensionEnabled) {
+    console.log('Page navigation detected, reprocessing usernames');
+    resetBreakdownPanel();
+    updateProfileHeader();
+    setTimeout(processUsernamesThrottled, INIT_DELAY);
+  }
+}
+
+// Runs even while inactive so disabled routes are left again; until the page script is connected
+// the URL is polled instead
+function watchNavigation() {
+  onPageMessage('__routeChanged', handleRouteChange);
+  window.addEventListener('popstate', handleRouteChange);
+  setInterval(() => {
+    if (!pageChannelReady) {
+      handleRouteChange();
     }
-  }).observe(document, { subtree: true, childList: true });
+  }, NAVIGATION_POLL_INTERVAL);
 }
 
 // Main initialization
 async function init() {
   console.log('Twitter Location Flag extension initialized');
   
-  await loadEnabledState();
-  await loadCache();
-  await loadStats();
-  await checkStorageUsage();
-  
-  if (!extensionEnabled) {
-    console.log('Extension is disabled');
-    return;
-  }
-  
-  injectPageScript();
-  setupObservers();
+  settings = await loadSettings();
+  onSettingsChanged(updated => {
+    settings = updated;
+    console.log('Settings updated:', settings);
+  });
   
-  setTimeout(() => {
-    processUsernamesThrottled();
-  }, INIT_DELAY);
+  await loadEnabledState();
+  onSiteControlsChanged(updated => {
+    siteControls = updated;
+    updateActiveState();
+  });
+  await loadFilterRules();
+  lookupRules = await loadLookupRules();
+  onLookupRulesChanged(updated => {
+    lookupRules = updated;
+    if (extensionEnabled) {
+      clearSkippedLookups();
+      processUsernamesThrottled();
+    }
+  });
   
-  setInterval(saveCache, CACHE_PERIODIC_SAVE);
+  watchNavigation();
+  window.addEventListener('pagehide', flushSightings);
+  window.addEventListener('pagehide', flushCacheHits);
+  updateActiveState(INIT_DELAY);
 }
 
 // Wait for page to load
@@ -0,0 +1,130 @@
+// Keyboard shortcut and context menu actions - the background worker (background.js) forwards them to the tab
+// Uses content.js globals (getLocation, refreshLocation, extractUsername, ...) at call time
+
+const TOAST_DURATION = 3000; // ms
+let toastElement = null;
+let toastTimeout = null;
+
+// Short confirmation at the bottom of the page (context menus have no UI of their own)
+function showToast(text) {
+  if (!toastElement) {
+    toastElement = document.createElement('div');
+    toastElement.setAttribute('data-twitter-flag-toast', 'true');
+    Object.assign(toastElement.style, {
+      position: 'fixed',
+      bottom: '24px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: '10000',
+      padding: '8px 16px',
+      borderRadius: '4px',
+      background: '#1d9bf0',
+      color: 'white',
+      fontSize: '14px',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)'
+    });
+  }
+  toastElement.textContent = text;
+  document.body.appendChild(toastElement);
+
+  clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(() => toastElement.remove(), TOAST_DURATION);
+}
+
+function describeLocation(screenName, locationInfo) {
+  if (locationInfo?.location) {
+    return `@${screenName}: ${locationInfo.flag ? `${locationInfo.flag} ` : ''}${locationInfo.location}`;
+  }
+  const indicator = LOOKUP_STATUS_INDICATORS[locationInfo?.status];
+  return `@${screenName}: ${indicator ? indicator.title : 'no location'}`;
+}
+
+// Force-refresh every account currently on screen, one queued request each
+async function refreshVisibleLocations() {
+  const visibleContainers = Array.from(document.querySelectorAll(USERNAME_CONTAINER_SELECTOR)).filter(container => isInViewport(container));
+  const screenNames = new Set(visibleContainers.map(extractUsername).filter(Boolean));
+  if (screenNames.size === 0) {
+    showToast('No accounts on screen');
+    return;
+  }
+
+  showToast(`Refreshing ${screenNames.size} account${screenNames.size !== 1 ? 's' : ''}...`);
+  // A round trip's worth at a time, so the background can batch them
+  const pending = Array.from(screenNames);
+  let failed = 0;
+  for (let i = 0; i < pending.length; i += settings.requestBatchSize) {
+    const results = await Promise.all(pending.slice(i, i + settings.requestBatchSize).map(screenName => refreshLocation(screenName)));
+    failed += results.filter(locationInfo => !locationInfo).length;
+  }
+
+  // Containers without a flag (status markers, click-to-lookup badges) redraw from the refreshed cache
+  for (const container of visibleContainers) {
+    if (container.querySelector('[data-twitter-flag]')) continue;
+    container.querySelectorAll('[data-twitter-flag-status], [data-twitter-flag-lookup]').forEach(marker => marker.remove());
+    delete container.dataset.flagAdded;
+  }
+  if (extensionEnabled) {
+    processUsernamesThrottled();
+  }
+  const refreshed = screenNames.size - failed;
+  showToast(`Refreshed ${refreshed} account${refreshed !== 1 ? 's' : ''}${failed ? ` (${failed} kept their saved location - rate limited or no answer)` : ''}`);
+}
+
+// Block list entry, or removal from the allow list when the rules use one
+async function excludeAccount(screenName) {
+  const rules = await loadLookupRules();
+  const handle = screenName.toLowerCase();
+  if (rules.handleListMode === 'allow') {
+    rules.handles = rules.handles.filter(existing => existing !== handle);
+  } else {
+    rules.handleListMode = 'block';
+    if (!rules.handles.includes(handle)) {
+      rules.handles.push(handle);
+    }
+  }
+  await chrome.storage.local.set({ [LOOKUP_RULES_KEY]: rules });
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (error) {
+    // The page may not have focus right after the context menu closes
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    textarea.remove();
+  }
+}
+
+async function handleContextMenuAction(action, screenName) {
+  try {
+    if (action === 'lookup') {
+      const locationInfo = await getLocation(screenName, { priority: LOOKUP_PRIORITY.HOVERED });
+      showToast(describeLocation(screenName, locationInfo));
+      if (extensionEnabled) {
+        processUsernamesThrottled();
+      }
+    } else if (action === 'refresh') {
+      const locationInfo = await refreshLocation(screenName, LOOKUP_PRIORITY.HOVERED);
+      showToast(locationInfo ? describeLocation(screenName, locationInfo) : `@${screenName}: refresh failed`);
+    } else if (action === 'copy') {
+      const locationInfo = await getLocation(screenName, { priority: LOOKUP_PRIORITY.HOVERED });
+      if (!locationInfo?.location) {
+        showToast(describeLocation(screenName, locationInfo));
+        return;
+      }
+      await copyText(locationInfo.location);
+      showToast(`Copied "${locationInfo.location}"`);
+    } else if (action === 'exclude') {
+      await excludeAccount(screenName);
+      showToast(`@${screenName} won't be looked up any more`);
+    }
+  } catch (error) {
+    console.error(`Context menu ${action} failed for ${screenName}:`, error);
+    showToast(`@${screenName}: ${error.message}`);
+  }
+}
@@ -0,0 +1,46 @@
+// Approximate centre [latitude, longitude] of each ISO 3166-1 country in countryFlags.js
+// Used by the dashboard's world map to place one bubble per country (no country outlines are bundled)
+const COUNTRY_CENTROIDS = {
+  AF: [33, 65], AX: [60.2, 20], AL: [41, 20], DZ: [28, 3], AS: [-14.3, -170.7], AD: [42.5, 1.6],
+  AO: [-12.5, 18.5], AI: [18.2, -63.1], AQ: [-75, 0], AG: [17.1, -61.8], AR: [-34, -64], AM: [40, 45],
+  AW: [12.5, -70], AU: [-25, 134], AT: [47.3, 13.3], AZ: [40.5, 47.5], BS: [24.3, -76], BH: [26, 50.5],
+  BD: [24, 90], BB: [13.2, -59.5], BY: [53, 28], BE: [50.8, 4.5], BZ: [17.2, -88.7], BJ: [9.5, 2.3],
+  BM: [32.3, -64.8], BT: [27.5, 90.5], BO: [-17, -65], BQ: [12.2, -68.3], BA: [44, 18], BW: [-22, 24],
+  BV: [-54.4, 3.4], BR: [-10, -55], IO: [-6, 71.5], BN: [4.5, 114.7], BG: [43, 25], BF: [13, -2],
+  BI: [-3.5, 30], CV: [16, -24], KH: [13, 105], CM: [6, 12], CA: [60, -95], KY: [19.5, -80.5],
+  CF: [7, 21], TD: [15, 19], CL: [-30, -71], CN: [35, 105], CX: [-10.5, 105.7], CC: [-12.2, 96.8],
+  CO: [4, -72], KM: [-12.2, 44.3], CG: [-1, 15], CD: [-2.5, 23.5], CK: [-21.2, -159.8], CR: [10, -84],
+  CI: [8, -5.5], HR: [45.2, 15.5], CU: [21.5, -79.5], CW: [12.2, -69], CY: [35, 33], CZ: [49.8, 15.5],
+  DK: [56, 10], DJ: [11.5, 43], DM: [15.4, -61.4], DO: [19, -70.7], EC: [-2, -77.5], EG: [27, 30],
+  SV: [13.8, -88.9], GQ: [2, 10], ER: [15, 39], EE: [59, 26], SZ: [-26.5, 31.5], ET: [8, 38],
+  FK: [-51.8, -59], FO: [62, -7], FJ: [-18, 178], FI: [64, 26], FR: [46, 2], GF: [4, -53],
+  PF: [-17.7, -149.4], TF: [-49.3, 69.2], GA: [-1, 11.8], GM: [13.5, -15.5], GE: [42, 43.5], DE: [51, 10.5],
+  GH: [8, -1.2], GI: [36.1, -5.4], GR: [39, 22], GL: [72, -40], GD: [12.1, -61.7], GP: [16.2, -61.6],
+  GU: [13.4, 144.8], GT: [15.5, -90.3], GG: [49.5, -2.6], GN: [10, -11], GW: [12, -15], GY: [5, -59],
+  HT: [19, -72.5], HM: [-53, 73.5], VA: [41.9, 12.45], HN: [15, -86.5], HK: [22.3, 114.2], HU: [47, 19.5],
+  IS: [65, -18], IN: [22, 79], ID: [-2, 118], IR: [32, 53], IQ: [33, 44], IE: [53.4, -8],
+  IM: [54.2, -4.5], IL: [31.5, 34.8], IT: [42.8, 12.8], JM: [18.1, -77.3], JP: [36, 138], JE: [49.2, -2.1],
+  JO: [31, 36.5], KZ: [48, 68], KE: [0.5, 38], KI: [1.4, 173], KP: [40, 127], KR: [36.5, 128],
+  KW: [29.3, 47.6], KG: [41.5, 75], LA: [18, 105], LV: [57, 25], LB: [33.9, 35.9], LS: [-29.5, 28.3],
+  LR: [6.5, -9.5], LY: [27, 17], LI: [47.2, 9.55], LT: [55.3, 24], LU: [49.8, 6.1], MO: [22.2, 113.55],
+  MG: [-19, 46.7], MW: [-13.5, 34], MY: [4, 102], MV: [3.2, 73.2], ML: [17, -4], MT: [35.9, 14.4],
+  MH: [7.1, 171.2], MQ: [14.6, -61], MR: [20, -10.5], MU: [-20.3, 57.6], YT: [-12.8, 45.15], MX: [23.5, -102],
+  FM: [6.9, 158.2], MD: [47, 28.5], MC: [43.7, 7.4], MN: [46.5, 104], ME: [42.7, 19.3], MS: [16.7, -62.2],
+  MA: [32, -6], MZ: [-18, 35], MM: [21, 96], NA: [-22, 17], NR: [-0.5, 166.9], NP: [28.2, 84],
+  NL: [52.2, 5.5], NC: [-21.3, 165.5], NZ: [-41.5, 173], NI: [12.9, -85], NE: [17, 9], NG: [9.5, 8],
+  NU: [-19, -169.9], NF: [-29, 168], MK: [41.6, 21.7], MP: [15.2, 145.7], NO: [64, 12], OM: [21, 57],
+  PK: [30, 70], PW: [7.5, 134.6], PS: [31.9, 35.2], PA: [8.5, -80], PG: [-6.5, 145], PY: [-23, -58],
+  PE: [-10, -76], PH: [12, 122], PN: [-24.4, -128.3], PL: [52, 19.5], PT: [39.5, -8], PR: [18.2, -66.5],
+  QA: [25.3, 51.2], RE: [-21.1, 55.5], RO: [46, 25], RU: [60, 95], RW: [-2, 30], BL: [17.9, -62.8],
+  SH: [-15.95, -5.7], KN: [17.3, -62.7], LC: [13.9, -61], MF: [18.07, -63.05], PM: [46.9, -56.3], VC: [13.25, -61.2],
+  WS: [-13.75, -172.1], SM: [43.9, 12.45], ST: [0.2, 6.6], SA: [24, 45], SN: [14.5, -14.5], RS: [44, 21],
+  SC: [-4.7, 55.5], SL: [8.5, -11.8], SG: [1.35, 103.8], SX: [18.04, -63.07], SK: [48.7, 19.5], SI: [46.1, 14.8],
+  SB: [-9, 160], SO: [6, 46], ZA: [-29, 25], GS: [-54.4, -36.6], SS: [7, 30], ES: [40, -3.7],
+  LK: [7.8, 80.7], SD: [15, 30], SR: [4, -56], SJ: [78, 16], SE: [62, 15], CH: [46.8, 8.2],
+  SY: [35, 38.5], TW: [23.7, 121], TJ: [38.8, 71], TZ: [-6, 35], TH: [15, 101], TL: [-8.8, 125.9],
+  TG: [8.5, 1], TK: [-9.2, -171.8], TO: [-21.2, -175.2], TT: [10.5, -61.3], TN: [34, 9.5], TR: [39, 35],
+  TM: [39, 59.5], TC: [21.7, -71.8], TV: [-8.5, 179.2], UG: [1.3, 32.3], UA: [49, 32], AE: [24, 54],
+  GB: [54, -2], US: [39, -98], UM: [19.3, 166.6], UY: [-33, -56], UZ: [41.5, 64], VU: [-16, 167],
+  VE: [7, -66], VN: [16, 106], VG: [18.4, -64.6], VI: [18.3, -64.9], WF: [-13.3, -176.2], EH: [24.5, -13],
+  YE: [15.5, 47.5], ZM: [-14, 28], ZW: [-19, 29.8], XK: [42.6, 20.9]
+};
@@ -1,89 +1,352 @@
-// Country name to flag emoji mapping
-const COUNTRY_FLAGS = {
-  "Afghanistan": "🇦🇫",
-  "Albania": "🇦🇱",
-  "Algeria": "🇩🇿",
-  "Argentina": "🇦🇷",
-  "Australia": "🇦🇺",
-  "Austria": "🇦🇹",
-  "Bangladesh": "🇧🇩",
-  "Belgium": "🇧🇪",
-  "Brazil": "🇧🇷",
-  "Canada": "🇨🇦",
-  "Chile": "🇨🇱",
-  "China": "🇨🇳",
-  "Colombia": "🇨🇴",
-  "Czech Republic": "🇨🇿",
-  "Denmark": "🇩🇰",
-  "Egypt": "🇪🇬",
-  "Europe": "🇪🇺",
-  "Finland": "🇫🇮",
-  "France": "🇫🇷",
-  "Germany": "🇩🇪",
-  "Greece": "🇬🇷",
-  "Guatemala": "🇬🇹",
-  "Honduras": "🇭🇳",
-  "Hong Kong": "🇭🇰",
-  "Hungary": "🇭🇺",
-  "Iceland": "🇮🇸",
-  "India": "🇮🇳",
-  "Indonesia": "🇮🇩",
-  "Iran": "🇮🇷",
-  "Iraq": "🇮🇶",
-  "Ireland": "🇮🇪",
-  "Israel": "🇮🇱",
-  "Italy": "🇮🇹",
-  "Jamaica": "🇯🇲",
-  "Japan": "🇯🇵",
-  "Jordan": "🇯🇴",
-  "Kenya": "🇰🇪",
-  "Latvia": "🇱🇻",
-  "Malaysia": "🇲🇾",
-  "Morocco": "🇲🇦",
-  "Mexico": "🇲🇽",
-  "Netherlands": "🇳🇱",
-  "New Zealand": "🇳🇿",
-  "Nigeria": "🇳🇬",
-  "Norway": "🇳🇴",
-  "Pakistan": "🇵🇰",
-  "Panama": "🇵🇦",
-  "Peru": "🇵🇪",
-  "Philippines": "🇵🇭",
-  "Poland": "🇵🇱",
-  "Portugal": "🇵🇹",
-  "Romania": "🇷🇴",
-  "Russia": "🇷🇺",
-  "Saudi Arabia": "🇸🇦",
-  "Singapore": "🇸🇬",
-  "South Africa": "🇿🇦",
-  "Korea": "🇰🇷",
-  "South Korea": "🇰🇷",
-  "Spain": "🇪🇸",
-  "Sri Lanka": "🇱🇰",
-  "Sweden": "🇸🇪",
-  "Switzerland": "🇨🇭",
-  "Taiwan": "🇹🇼",
-  "Thailand": "🇹🇭",
-  "Trinidad and Tobago": "🇹🇹",
-  "Turkey": "🇹🇷",
-  "Ukraine": "🇺🇦",
-  "United Arab Emirates": "🇦🇪",
-  "United Kingdom": "🇬🇧",
-  "United States": "🇺🇸",
-  "Uruguay": "🇺🇾",
-  "Venezuela": "🇻🇪",
-  "Vietnam": "🇻🇳"
-};
+// Country and region dataset used to turn X's "account based in" strings into flags
+// Countries: every ISO 3166-1 entry, keyed by its alpha-2 code (the flag is derived from the code)
+// Aliases cover common alternative and historical names; matching ignores case and accents
+const COUNTRIES = [
+  { code: 'AF', name: 'Afghanistan' },
+  { code: 'AX', name: 'Åland Islands', aliases: ['Aland'] },
+  { code: 'AL', name: 'Albania' },
+  { code: 'DZ', name: 'Algeria' },
+  { code: 'AS', name: 'American Samoa' },
+  { code: 'AD', name: 'Andorra' },
+  { code: 'AO', name: 'Angola' },
+  { code: 'AI', name: 'Anguilla' },
+  { code: 'AQ', name: 'Antarctica' },
+  { code: 'AG', name: 'Antigua and Barbuda', aliases: ['Antigua'] },
+  { code: 'AR', name: 'Argentina' },
+  { code: 'AM', name: 'Armenia' },
+  { code: 'AW', name: 'Aruba' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'AT', name: 'Austria' },
+  { code: 'AZ', name: 'Azerbaijan' },
+  { code: 'BS', name: 'Bahamas', aliases: ['The Bahamas'] },
+  { code: 'BH', name: 'Bahrain' },
+  { code: 'BD', name: 'Bangladesh' },
+  { code: 'BB', name: 'Barbados' },
+  { code: 'BY', name: 'Belarus' },
+  { code: 'BE', name: 'Belgium' },
+  { code: 'BZ', name: 'Belize' },
+  { code: 'BJ', name: 'Benin' },
+  { code: 'BM', name: 'Bermuda' },
+  { code: 'BT', name: 'Bhutan' },
+  { code: 'BO', name: 'Bolivia', aliases: ['Plurinational State of Bolivia'] },
+  { code: 'BQ', name: 'Caribbean Netherlands', aliases: ['Bonaire, Sint Eustatius and Saba', 'Bonaire'] },
+  { code: 'BA', name: 'Bosnia and Herzegovina', aliases: ['Bosnia', 'Bosnia-Herzegovina'] },
+  { code: 'BW', name: 'Botswana' },
+  { code: 'BV', name: 'Bouvet Island' },
+  { code: 'BR', name: 'Brazil', aliases: ['Brasil'] },
+  { code: 'IO', name: 'British Indian Ocean Territory' },
+  { code: 'BN', name: 'Brunei', aliases: ['Brunei Darussalam'] },
+  { code: 'BG', name: 'Bulgaria' },
+  { code: 'BF', name: 'Burkina Faso' },
+  { code: 'BI', name: 'Burundi' },
+  { code: 'CV', name: 'Cape Verde', aliases: ['Cabo Verde'] },
+  { code: 'KH', name: 'Cambodia' },
+  { code: 'CM', name: 'Cameroon' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'KY', name: 'Cayman Islands' },
+  { code: 'CF', name: 'Central African Republic' },
+  { code: 'TD', name: 'Chad' },
+  { code: 'CL', name: 'Chile' },
+  { code: 'CN', name: 'China', aliases: ["People's Republic of China", 'PRC', 'Mainland China'] },
+  { code: 'CX', name: 'Christmas Island' },
+  { code: 'CC', name: 'Cocos (Keeling) Islands', aliases: ['Cocos Islands'] },
+  { code: 'CO', name: 'Colombia' },
+  { code: 'KM', name: 'Comoros' },
+  { code: 'CG', name: 'Republic of the Congo', aliases: ['Congo', 'Congo-Brazzaville', 'Congo, Republic of the'] },
+  { code: 'CD', name: 'Democratic Republic of the Congo', aliases: ['DR Congo', 'DRC', 'Congo-Kinshasa', 'Congo, Democratic Republic of the'] },
+  { code: 'CK', name: 'Cook Islands' },
+  { code: 'CR', name: 'Costa Rica' },
+  { code: 'CI', name: "Côte d'Ivoire", aliases: ['Ivory Coast'] },
+  { code: 'HR', name: 'Croatia' },
+  { code: 'CU', name: 'Cuba' },
+  { code: 'CW', name: 'Curaçao' },
+  { code: 'CY', name: 'Cyprus' },
+  { code: 'CZ', name: 'Czechia', aliases: ['Czech Republic'] },
+  { code: 'DK', name: 'Denmark' },
+  { code: 'DJ', name: 'Djibouti' },
+  { code: 'DM', name: 'Dominica' },
+  { code: 'DO', name: 'Dominican Republic' },
+  { code: 'EC', name: 'Ecuador' },
+  { code: 'EG', name: 'Egypt' },
+  { code: 'SV', name: 'El Salvador' },
+  { code: 'GQ', name: 'Equatorial Guinea' },
+  { code: 'ER', name: 'Eritrea' },
+  { code: 'EE', name: 'Estonia' },
+  { code: 'SZ', name: 'Eswatini', aliases: ['Swaziland'] },
+  { code: 'ET', name: 'Ethiopia' },
+  { code: 'FK', name: 'Falkland Islands', aliases: ['Falkland Islands (Malvinas)'] },
+  { code: 'FO', name: 'Faroe Islands' },
+  { code: 'FJ', name: 'Fiji' },
+  { code: 'FI', name: 'Finland' },
+  { code: 'FR', name: 'France' },
+  { code: 'GF', name: 'French Guiana' },
+  { code: 'PF', name: 'French Polynesia' },
+  { code: 'TF', name: 'French Southern Territories' },
+  { code: 'GA', name: 'Gabon' },
+  { code: 'GM', name: 'Gambia', aliases: ['The Gambia'] },
+  { code: 'GE', name: 'Georgia' },
+  { code: 'DE', name: 'Germany', aliases: ['Deutschland'] },
+  { code: 'GH', name: 'Ghana' },
+  { code: 'GI', name: 'Gibraltar' },
+  { code: 'GR', name: 'Greece' },
+  { code: 'GL', name: 'Greenland' },
+  { code: 'GD', name: 'Grenada' },
+  { code: 'GP', name: 'Guadeloupe' },
+  { code: 'GU', name: 'Guam' },
+  { code: 'GT', name: 'Guatemala' },
+  { code: 'GG', name: 'Guernsey' },
+  { code: 'GN', name: 'Guinea' },
+  { code: 'GW', name: 'Guinea-Bissau' },
+  { code: 'GY', name: 'Guyana' },
+  { code: 'HT', name: 'Haiti' },
+  { code: 'HM', name: 'Heard Island and McDonald Islands' },
+  { code: 'VA', name: 'Vatican City', aliases: ['Holy See', 'Vatican'] },
+  { code: 'HN', name: 'Honduras' },
+  { code: 'HK', name: 'Hong Kong', aliases: ['Hong Kong SAR'] },
+  { code: 'HU', name: 'Hungary' },
+  { code: 'IS', name: 'Iceland' },
+  { code: 'IN', name: 'India' },
+  { code: 'ID', name: 'Indonesia' },
+  { code: 'IR', name: 'Iran', aliases: ['Islamic Republic of Iran'] },
+  { code: 'IQ', name: 'Iraq' },
+  { code: 'IE', name: 'Ireland', aliases: ['Republic of Ireland'] },
+  { code: 'IM', name: 'Isle of Man' },
+  { code: 'IL', name: 'Israel' },
+  { code: 'IT', name: 'Italy' },
+  { code: 'JM', name: 'Jamaica' },
+  { code: 'JP', name: 'Japan' },
+  { code: 'JE', name: 'Jersey' },
+  { code: 'JO', name: 'Jordan' },
+  { code: 'KZ', name: 'Kazakhstan' },
+  { code: 'KE', name: 'Kenya' },
+  { code: 'KI', name: 'Kiribati' },
+  { code: 'KP', name: 'North Korea', aliases: ['Korea, North', "Democratic People's Republic of Korea", 'DPRK'] },
+  { code: 'KR', name: 'South Korea', aliases: ['Korea', 'Korea, South', 'Republic of Korea'] },
+  { code: 'KW', name: 'Kuwait' },
+  { code: 'KG', name: 'Kyrgyzstan' },
+  { code: 'LA', name: 'Laos', aliases: ["Lao People's Democratic Republic", 'Lao PDR'] },
+  { code: 'LV', name: 'Latvia' },
+  { code: 'LB', name: 'Lebanon' },
+  { code: 'LS', name: 'Lesotho' },
+  { code: 'LR', name: 'Liberia' },
+  { code: 'LY', name: 'Libya' },
+  { code: 'LI', name: 'Liechtenstein' },
+  { code: 'LT', name: 'Lithuania' },
+  { code: 'LU', name: 'Luxembourg' },
+  { code: 'MO', name: 'Macao', aliases: ['Macau', 'Macao SAR'] },
+  { code: 'MG', name: 'Madagascar' },
+  { code: 'MW', name: 'Malawi' },
+  { code: 'MY', name: 'Malaysia' },
+  { code: 'MV', name: 'Maldives' },
+  { code: 'ML', name: 'Mali' },
+  { code: 'MT', name: 'Malta' },
+  { code: 'MH', name: 'Marshall Islands' },
+  { code: 'MQ', name: 'Martinique' },
+  { code: 'MR', name: 'Mauritania' },
+  { code: 'MU', name: 'Mauritius' },
+  { code: 'YT', name: 'Mayotte' },
+  { code: 'MX', name: 'Mexico', aliases: ['México'] },
+  { code: 'FM', name: 'Micronesia', aliases: ['Federated States of Micronesia'] },
+  { code: 'MD', name: 'Moldova', aliases: ['Republic of Moldova'] },
+  { code: 'MC', name: 'Monaco' },
+  { code: 'MN', name: 'Mongolia' },
+  { code: 'ME', name: 'Montenegro' },
+  { code: 'MS', name: 'Montserrat' },
+  { code: 'MA', name: 'Morocco' },
+  { code: 'MZ', name: 'Mozambique' },
+  { code: 'MM', name: 'Myanmar', aliases: ['Burma'] },
+  { code: 'NA', name: 'Namibia' },
+  { code: 'NR', name: 'Nauru' },
+  { code: 'NP', name: 'Nepal' },
+  { code: 'NL', name: 'Netherlands', aliases: ['The Netherlands', 'Holland'] },
+  { code: 'NC', name: 'New Caledonia' },
+  { code: 'NZ', name: 'New Zealand' },
+  { code: 'NI', name: 'Nicaragua' },
+  { code: 'NE', name: 'Niger' },
+  { code: 'NG', name: 'Nigeria' },
+  { code: 'NU', name: 'Niue' },
+  { code: 'NF', name: 'Norfolk Island' },
+  { code: 'MK', name: 'North Macedonia', aliases: ['Macedonia'] },
+  { code: 'MP', name: 'Northern Mariana Islands' },
+  { code: 'NO', name: 'Norway' },
+  { code: 'OM', name: 'Oman' },
+  { code: 'PK', name: 'Pakistan' },
+  { code: 'PW', name: 'Palau' },
+  { code: 'PS', name: 'Palestine', aliases: ['State of Palestine', 'Palestinian Territories'] },
+  { code: 'PA', name: 'Panama', aliases: ['Panamá'] },
+  { code: 'PG', name: 'Papua New Guinea' },
+  { code: 'PY', name: 'Paraguay' },
+  { code: 'PE', name: 'Peru', aliases: ['Perú'] },
+  { code: 'PH', name: 'Philippines', aliases: ['The Philippines'] },
+  { code: 'PN', name: 'Pitcairn Islands', aliases: ['Pitcairn'] },
+  { code: 'PL', name: 'Poland' },
+  { code: 'PT', name: 'Portugal' },
+  { code: 'PR', name: 'Puerto Rico' },
+  { code: 'QA', name: 'Qatar' },
+  { code: 'RE', name: 'Réunion' },
+  { code: 'RO', name: 'Romania' },
+  { code: 'RU', name: 'Russia', aliases: ['Russian Federation'] },
+  { code: 'RW', name: 'Rwanda' },
+  { code: 'BL', name: 'Saint Barthélemy', aliases: ['St. Barthélemy'] },
+  { code: 'SH', name: 'Saint Helena, Ascension and Tristan da Cunha', aliases: ['Saint Helena', 'St. Helena'] },
+  { code: 'KN', name: 'Saint Kitts and Nevis', aliases: ['St. Kitts and Nevis'] },
+  { code: 'LC', name: 'Saint Lucia', aliases: ['St. Lucia'] },
+  { code: 'MF', name: 'Saint Martin', aliases: ['St. Martin'] },
+  { code: 'PM', name: 'Saint Pierre and Miquelon', aliases: ['St. Pierre and Miquelon'] },
+  { code: 'VC', name: 'Saint Vincent and the Grenadines', aliases: ['St. Vincent and the Grenadines'] },
+  { code: 'WS', name: 'Samoa' },
+  { code: 'SM', name: 'San Marino' },
+  { code: 'ST', name: 'São Tomé and Príncipe' },
+  { code: 'SA', name: 'Saudi Arabia' },
+  { code: 'SN', name: 'Senegal' },
+  { code: 'RS', name: 'Serbia' },
+  { code: 'SC', name: 'Seychelles' },
+  { code: 'SL', name: 'Sierra Leone' },
+  { code: 'SG', name: 'Singapore' },
+  { code: 'SX', name: 'Sint Maarten' },
+  { code: 'SK', name: 'Slovakia', aliases: ['Slovak Republic'] },
+  { code: 'SI', name: 'Slovenia' },
+  { code: 'SB', name: 'Solomon Islands' },
+  { code: 'SO', name: 'Somalia' },
+  { code: 'ZA', name: 'South Africa' },
+  { code: 'GS', name: 'South Georgia and the South Sandwich Islands' },
+  { code: 'SS', name: 'South Sudan' },
+  { code: 'ES', name: 'Spain', aliases: ['España'] },
+  { code: 'LK', name: 'Sri Lanka' },
+  { code: 'SD', name: 'Sudan' },
+  { code: 'SR', name: 'Suriname' },
+  { code: 'SJ', name: 'Svalbard and Jan Mayen' },
+  { code: 'SE', name: 'Sweden' },
+  { code: 'CH', name: 'Switzerland' },
+  { code: 'SY', name: 'Syria', aliases: ['Syrian Arab Republic'] },
+  { code: 'TW', name: 'Taiwan' },
+  { code: 'TJ', name: 'Tajikistan' },
+  { code: 'TZ', name: 'Tanzania', aliases: ['United Republic of Tanzania'] },
+  { code: 'TH', name: 'Thailand' },
+  { code: 'TL', name: 'Timor-Leste', aliases: ['East Timor'] },
+  { code: 'TG', name: 'Togo' },
+  { code: 'TK', name: 'Tokelau' },
+  { code: 'TO', name: 'Tonga' },
+  { code: 'TT', name: 'Trinidad and Tobago', aliases: ['Trinidad'] },
+  { code: 'TN', name: 'Tunisia' },
+  { code: 'TR', name: 'Turkey', aliases: ['Türkiye'] },
+  { code: 'TM', name: 'Turkmenistan' },
+  { code: 'TC', name: 'Turks and Caicos Islands' },
+  { code: 'TV', name: 'Tuvalu' },
+  { code: 'UG', name: 'Uganda' },
+  { code: 'UA', name: 'Ukraine' },
+  { code: 'AE', name: 'United Arab Emirates', aliases: ['UAE'] },
+  { code: 'GB', name: 'United Kingdom', aliases: ['UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'] },
+  { code: 'US', name: 'United States', aliases: ['USA', 'U.S.', 'U.S.A.', 'US', 'United States of America', 'America'] },
+  { code: 'UM', name: 'United States Minor Outlying Islands' },
+  { code: 'UY', name: 'Uruguay' },
+  { code: 'UZ', name: 'Uzbekistan' },
+  { code: 'VU', name: 'Vanuatu' },
+  { code: 'VE', name: 'Venezuela', aliases: ['Bolivarian Republic of Venezuela'] },
+  { code: 'VN', name: 'Vietnam', aliases: ['Viet Nam'] },
+  { code: 'VG', name: 'British Virgin Islands', aliases: ['Virgin Islands, British'] },
+  { code: 'VI', name: 'U.S. Virgin Islands', aliases: ['US Virgin Islands', 'Virgin Islands, U.S.'] },
+  { code: 'WF', name: 'Wallis and Futuna' },
+  { code: 'EH', name: 'Western Sahara' },
+  { code: 'YE', name: 'Yemen' },
+  { code: 'ZM', name: 'Zambia' },
+  { code: 'ZW', name: 'Zimbabwe' },
+  // Not in ISO 3166-1 but widely used (user-assigned code)
+  { code: 'XK', name: 'Kosovo' }
+];
 
-const COUNTRY_FLAGS_LOWER = {};
-for (const [country, flag] of Object.entries(COUNTRY_FLAGS)) {
-  COUNTRY_FLAGS_LOWER[country.toLowerCase()] = flag;
+// Regions X returns when it only knows an area rather than a country
+// Codes are UN M49 area codes where one exists; EU keeps the EU flag, others get a globe
+const REGIONS = [
+  { code: 'EU', name: 'European Union', flag: '🇪🇺' },
+  { code: '150', name: 'Europe', flag: '🇪🇺' },
+  { code: '151', name: 'Eastern Europe', flag: '🌍' },
+  { code: '154', name: 'Northern Europe', flag: '🌍' },
+  { code: '039', name: 'Southern Europe', flag: '🌍' },
+  { code: '155', name: 'Western Europe', flag: '🌍' },
+  { code: null, name: 'Europe & Central Asia', flag: '🌍', aliases: ['Europe and Central Asia'] },
+  { code: '002', name: 'Africa', flag: '🌍' },
+  { code: '015', name: 'North Africa', flag: '🌍', aliases: ['Northern Africa'] },
+  { code: '202', name: 'Sub-Saharan Africa', flag: '🌍' },
+  { code: '011', name: 'West Africa', flag: '🌍', aliases: ['Western Africa'] },
+  { code: '014', name: 'East Africa', flag: '🌍', aliases: ['Eastern Africa'] },
+  { code: '017', name: 'Central Africa', flag: '🌍', aliases: ['Middle Africa'] },
+  { code: '018', name: 'Southern Africa', flag: '🌍' },
+  { code: null, name: 'Middle East', flag: '🌍' },
+  { code: null, name: 'Middle East & North Africa', flag: '🌍', aliases: ['Middle East and North Africa', 'MENA'] },
+  { code: '142', name: 'Asia', flag: '🌏' },
+  { code: '143', name: 'Central Asia', flag: '🌏' },
+  { code: '030', name: 'East Asia', flag: '🌏', aliases: ['Eastern Asia'] },
+  { code: null, name: 'East Asia & Pacific', flag: '🌏', aliases: ['East Asia and Pacific', 'East Asia and the Pacific'] },
+  { code: '034', name: 'South Asia', flag: '🌏', aliases: ['Southern Asia'] },
+  { code: '035', name: 'Southeast Asia', flag: '🌏', aliases: ['South-eastern Asia', 'South East Asia'] },
+  { code: '145', name: 'West Asia', flag: '🌍', aliases: ['Western Asia'] },
+  { code: '009', name: 'Oceania', flag: '🌏', aliases: ['Pacific', 'Pacific Islands'] },
+  { code: '053', name: 'Australia and New Zealand', flag: '🌏', aliases: ['Australasia'] },
+  { code: '019', name: 'Americas', flag: '🌎', aliases: ['The Americas'] },
+  { code: '003', name: 'North America', flag: '🌎' },
+  { code: '013', name: 'Central America', flag: '🌎' },
+  { code: '005', name: 'South America', flag: '🌎' },
+  { code: '029', name: 'Caribbean', flag: '🌎', aliases: ['The Caribbean'] },
+  { code: '419', name: 'Latin America & Caribbean', flag: '🌎', aliases: ['Latin America and the Caribbean', 'Latin America and Caribbean', 'Latin America'] }
+];
+
+// Helper: Build the flag emoji from an ISO 3166-1 alpha-2 code (regional indicator symbols)
+function codeToFlag(code) {
+  return String.fromCodePoint(...code.toUpperCase().split('').map(char => 0x1F1E6 + char.charCodeAt(0) - 65));
 }
 
-function getCountryFlag(countryName) {
+// Helper: Normalize a name for matching - case, accents, punctuation and "&" vs "and"
+function normalizeCountryName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[.'’()]/g, '')
+    .replace(/[\s,\-]+/g, ' ')
+    .trim();
+}
+
+// Lookup tables: normalized name or alias → { name, code, flag, type }, and code → same
+const COUNTRY_LOOKUP = new Map();
+const COUNTRY_CODE_LOOKUP = new Map();
+for (const country of COUNTRIES) {
+  const info = { name: country.name, code: country.code, flag: codeToFlag(country.code), type: 'country' };
+  COUNTRY_CODE_LOOKUP.set(country.code, info);
+  for (const name of [country.name, ...(country.aliases || [])]) {
+    COUNTRY_LOOKUP.set(normalizeCountryName(name), info);
+  }
+}
+for (const region of REGIONS) {
+  const info = { name: region.name, code: region.code, flag: region.flag, type: 'region' };
+  if (region.code) {
+    COUNTRY_CODE_LOOKUP.set(region.code, info);
+  }
+  for (const name of [region.name, ...(region.aliases || [])]) {
+    // Countries win if a region alias happens to collide with one
+    if (!COUNTRY_LOOKUP.has(normalizeCountryName(name))) {
+      COUNTRY_LOOKUP.set(normalizeCountryName(name), info);
+    }
+  }
+}
+
+// Get { name, code, flag, type } for a country or region string, or null if unknown
+function getCountryInfo(countryName) {
   if (!countryName) return null;
-  
-  const normalized = countryName.trim().toLowerCase();
-  return COUNTRY_FLAGS_LOWER[normalized] || null;
+
+  const normalized = normalizeCountryName(countryName);
+  return COUNTRY_LOOKUP.get(normalized) ||
+         (normalized.startsWith('the ') ? COUNTRY_LOOKUP.get(normalized.substring(4)) : null) ||
+         null;
+}
+
+// Get { name, code, flag, type } for an ISO alpha-2 (or region) code, or null if unknown
+function getCountryInfoByCode(code) {
+  if (!code) return null;
+  return COUNTRY_CODE_LOOKUP.get(code.trim().toUpperCase()) || null;
 }
 
+function getCountryFlag(countryName) {
+  return getCountryInfo(countryName)?.flag || null;
+}
@@ -0,0 +1,368 @@
+// Dashboard page - map, trends and per-context breakdowns of the accounts seen on X
+// Built from the sightings the content script records (see sightings.js) and the current location cache
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MAP_WIDTH = 720;
+const MAP_HEIGHT = 360;
+const TREND_WIDTH = 720;
+const TREND_HEIGHT = 200;
+const TREND_PADDING = { top: 16, right: 8, bottom: 24, left: 36 };
+const MAX_BUBBLE_RADIUS = 24;
+const TOP_LOCATIONS = 20;
+const CONTEXT_TOP_LOCATIONS = 3;
+const MAX_TREND_DAYS = 400; // Sightings are kept this long (SIGHTING_RETENTION_DAYS), so an earlier start adds nothing
+
+// Preset ranges in days (null = everything still stored)
+const RANGE_PRESETS = [
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 },
+  { label: 'All', days: null }
+];
+
+const presetButtons = document.getElementById('presetButtons');
+const fromDateInput = document.getElementById('fromDate');
+const toDateInput = document.getElementById('toDate');
+const rangeMessage = document.getElementById('rangeMessage');
+const worldMap = document.getElementById('worldMap');
+const regionsOnly = document.getElementById('regionsOnly');
+const dailyBtn = document.getElementById('dailyBtn');
+const weeklyBtn = document.getElementById('weeklyBtn');
+const trendChart = document.getElementById('trendChart');
+const contextsBody = document.getElementById('contextsBody');
+const locationsBody = document.getElementById('locationsBody');
+
+let stats = null;
+let trendPeriod = 'day'; // 'day' | 'week'
+let loadId = 0; // Bumped per load so a slow earlier response can't overwrite a newer range
+
+// Helper: Percentage of a total, rounded
+function formatPercent(count, total) {
+  return total > 0 ? `${Math.round((count / total) * 100)}%` : '–';
+}
+
+// Helper: Location with its flag
+function formatLocation(location) {
+  const flag = getCountryFlag(location);
+  return flag ? `${flag} ${location}` : location;
+}
+
+// Helper: SVG element with attributes
+function createSvgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) {
+    element.setAttribute(key, value);
+  }
+  return element;
+}
+
+// Helper: Tooltip for an SVG element
+function addSvgTitle(element, text) {
+  const title = createSvgElement('title');
+  title.textContent = text;
+  element.appendChild(title);
+}
+
+// Helper: Day key n days after dayKey (negative to go back)
+function addDays(dayKey, days) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return toDayKey(new Date(year, month - 1, day + days).getTime());
+}
+
+// Date range
+
+function renderPresets() {
+  for (const preset of RANGE_PRESETS) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = preset.label;
+    button.style.marginRight = '4px';
+    button.addEventListener('click', () => applyPreset(preset));
+    preset.button = button;
+    presetButtons.appendChild(button);
+  }
+}
+
+function applyPreset(preset) {
+  const today = toDayKey();
+  fromDateInput.value = preset.days ? addDays(today, 1 - preset.days) : '';
+  toDateInput.value = today;
+  loadStats();
+}
+
+function highlightPreset() {
+  const today = toDayKey();
+  for (const preset of RANGE_PRESETS) {
+    const from = preset.days ? addDays(today, 1 - preset.days) : '';
+    preset.button.classList.toggle('active', fromDateInput.value === from && toDateInput.value === today);
+  }
+}
+
+async function loadStats() {
+  highlightPreset();
+  // Empty inputs mean no bound; day keys compare as strings
+  const fromDay = fromDateInput.value || '0000-01-01';
+  const toDay = toDateInput.value || '9999-12-31';
+  if (fromDay > toDay) {
+    rangeMessage.textContent = 'The start date is after the end date';
+    rangeMessage.classList.add('error');
+    return;
+  }
+
+  const id = ++loadId;
+  rangeMessage.textContent = 'Loading...';
+  rangeMessage.classList.remove('error');
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getDashboardStats', fromDay, toDay });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    if (id !== loadId) return;
+    stats = response.stats;
+    rangeMessage.textContent = '';
+    render();
+  } catch (error) {
+    if (id !== loadId) return;
+    console.error('Error loading dashboard stats:', error);
+    rangeMessage.textContent = `Could not load statistics: ${error.message}`;
+    rangeMessage.classList.add('error');
+  }
+}
+
+function render() {
+  renderSummary();
+  renderMap();
+  renderTrend();
+  renderContexts();
+  renderTopLocations();
+}
+
+function renderSummary() {
+  const { accounts, withLocation, noLocation, unresolved } = stats.total;
+  document.getElementById('totalAccounts').textContent = accounts.toLocaleString();
+  document.getElementById('totalWithLocation').textContent = withLocation.toLocaleString();
+  document.getElementById('totalNoLocation').textContent = noLocation.toLocaleString();
+  document.getElementById('totalUnresolved').textContent = unresolved.toLocaleString();
+  document.getElementById('unknownShare').textContent = formatPercent(noLocation + unresolved, accounts);
+}
+
+// World map - equirectangular projection with one bubble per country at its approximate centre
+// Bubble area and opacity scale with the number of accounts; regions ("Europe") have no single point
+function renderMap() {
+  worldMap.textContent = '';
+  const project = ([lat, lon]) => [(lon + 180) * (MAP_WIDTH / 360), (90 - lat) * (MAP_HEIGHT / 180)];
+
+  // Graticule every 30 degrees, equator and prime meridian a little darker
+  for (let lon = -180; lon <= 180; lon += 30) {
+    const [x] = project([0, lon]);
+    worldMap.appendChild(createSvgElement('line', { x1: x, y1: 0, x2: x, y2: MAP_HEIGHT, stroke: lon === 0 ? '#ccd6dd' : '#eff3f4' }));
+  }
+  for (let lat = -60; lat <= 60; lat += 30) {
+    const [, y] = project([lat, 0]);
+    worldMap.appendChild(createSvgElement('line', { x1: 0, y1: y, x2: MAP_WIDTH, y2: y, stroke: lat === 0 ? '#ccd6dd' : '#eff3f4' }));
+  }
+
+  const countries = new Map(); // code -> { name, flag, count }
+  const unmapped = [];
+  for (const [location, count] of Object.entries(stats.total.locations)) {
+    const info = getCountryInfo(location);
+    if (info?.type !== 'country' || !COUNTRY_CENTROIDS[info.code]) {
+      unmapped.push([location, count]);
+      continue;
+    }
+    if (!countries.has(info.code)) {
+      countries.set(info.code, { name: info.name, flag: info.flag, count: 0 });
+    }
+    countries.get(info.code).count += count;
+  }
+
+  const max = Math.max(0, ...Array.from(countries.values(), country => country.count));
+  // Largest first so small bubbles stay on top and hoverable
+  const sorted = Array.from(countries.entries()).sort((a, b) => b[1].count - a[1].count);
+  for (const [code, country] of sorted) {
+    const [x, y] = project(COUNTRY_CENTROIDS[code]);
+    const ratio = country.count / max;
+    const circle = createSvgElement('circle', {
+      cx: x.toFixed(1),
+      cy: y.toFixed(1),
+      r: Math.max(2, MAX_BUBBLE_RADIUS * Math.sqrt(ratio)).toFixed(1),
+      fill: '#1d9bf0',
+      'fill-opacity': (0.35 + 0.5 * ratio).toFixed(2),
+      stroke: '#1a8cd8'
+    });
+    addSvgTitle(circle, `${country.flag} ${country.name}: ${country.count} (${formatPercent(country.count, stats.total.withLocation)})`);
+    worldMap.appendChild(circle);
+  }
+
+  if (countries.size === 0) {
+    const text = createSvgElement('text', { x: MAP_WIDTH / 2, y: MAP_HEIGHT / 2, 'text-anchor': 'middle', fill: '#536471', 'font-size': 13 });
+    text.textContent = 'No accounts with a country in this range';
+    worldMap.appendChild(text);
+  }
+
+  unmapped.sort((a, b) => b[1] - a[1]);
+  regionsOnly.textContent = unmapped.length > 0
+    ? `Not on the map: ${unmapped.map(([location, count]) => `${formatLocation(location)} (${count})`).join(', ')}`
+    : '';
+}
+
+// Every day (or week) in the range, including those with no sightings
+function getTrendPeriods() {
+  const rows = trendPeriod === 'week' ? stats.weeks : stats.days;
+  const key = trendPeriod === 'week' ? 'week' : 'day';
+  if (rows.length === 0) return [];
+
+  const byKey = new Map(rows.map(row => [row[key], row]));
+  const step = trendPeriod === 'week' ? 7 : 1;
+  const toDay = toDateInput.value || toDayKey();
+  const fromDay = fromDateInput.value && fromDateInput.value >= addDays(toDay, -MAX_TREND_DAYS) ? fromDateInput.value : rows[0][key];
+  const first = trendPeriod === 'week' ? toWeekKey(fromDay) : fromDay;
+  const last = trendPeriod === 'week' ? toWeekKey(toDay) : toDay;
+
+  const periods = [];
+  for (let period = first; period <= last; period = addDays(period, step)) {
+    periods.push(byKey.get(period) || { [key]: period, accounts: 0, withLocation: 0, noLocation: 0, unresolved: 0 });
+  }
+  return periods.map(row => ({ ...row, period: row[key] }));
+}
+
+// Stacked bars - accounts with a location at the bottom, unknown on top
+function renderTrend() {
+  trendChart.textContent = '';
+  dailyBtn.classList.toggle('active', trendPeriod === 'day');
+  weeklyBtn.classList.toggle('active', trendPeriod === 'week');
+
+  const periods = getTrendPeriods();
+  if (periods.length === 0) {
+    const text = createSvgElement('text', { x: TREND_WIDTH / 2, y: TREND_HEIGHT / 2, 'text-anchor': 'middle', fill: '#536471', 'font-size': 13 });
+    text.textContent = 'No accounts seen in this range';
+    trendChart.appendChild(text);
+    return;
+  }
+
+  const plotWidth = TREND_WIDTH - TREND_PADDING.left - TREND_PADDING.right;
+  const plotHeight = TREND_HEIGHT - TREND_PADDING.top - TREND_PADDING.bottom;
+  const max = Math.max(1, ...periods.map(row => row.accounts));
+  const slot = plotWidth / periods.length;
+  const barWidth = Math.max(1, slot * 0.8);
+  const scale = value => (value / max) * plotHeight;
+  const baseline = TREND_PADDING.top + plotHeight;
+
+  const axis = (y, label) => {
+    trendChart.appendChild(createSvgElement('line', { x1: TREND_PADDING.left, y1: y, x2: TREND_WIDTH - TREND_PADDING.right, y2: y, stroke: '#eff3f4' }));
+    const text = createSvgElement('text', { x: TREND_PADDING.left - 4, y: y + 4, 'text-anchor': 'end', fill: '#536471', 'font-size': 10 });
+    text.textContent = label;
+    trendChart.appendChild(text);
+  };
+  axis(baseline, '0');
+  axis(TREND_PADDING.top, max.toLocaleString());
+
+  periods.forEach((row, index) => {
+    const x = TREND_PADDING.left + index * slot + (slot - barWidth) / 2;
+    const known = scale(row.withLocation);
+    const unknown = scale(row.noLocation + row.unresolved);
+    const group = createSvgElement('g');
+    group.appendChild(createSvgElement('rect', { x: x.toFixed(1), y: (baseline - known).toFixed(1), width: barWidth.toFixed(1), height: known.toFixed(1), fill: '#1d9bf0' }));
+    group.appendChild(createSvgElement('rect', { x: x.toFixed(1), y: (baseline - known - unknown).toFixed(1), width: barWidth.toFixed(1), height: unknown.toFixed(1), fill: '#ccd6dd' }));
+    // Full-height hit area so empty and short bars still get a tooltip
+    group.appendChild(createSvgElement('rect', { x: (TREND_PADDING.left + index * slot).toFixed(1), y: TREND_PADDING.top, width: slot.toFixed(1), height: plotHeight, fill: 'transparent' }));
+    const label = trendPeriod === 'week' ? `Week of ${row.period}` : row.period;
+    addSvgTitle(group, `${label}: ${row.accounts} accounts, ${row.withLocation} with a location, ${row.noLocation + row.unresolved} unknown (${formatPercent(row.noLocation + row.unresolved, row.accounts)})`);
+    trendChart.appendChild(group);
+  });
+
+  // First, middle and last period under the axis
+  const labelIndexes = new Set([0, Math.floor((periods.length - 1) / 2), periods.length - 1]);
+  for (const index of labelIndexes) {
+    const x = TREND_PADDING.left + index * slot + slot / 2;
+    const anchor = index === 0 ? 'start' : index === periods.length - 1 ? 'end' : 'middle';
+    const text = createSvgElement('text', { x: x.toFixed(1), y: TREND_HEIGHT - 6, 'text-anchor': anchor, fill: '#536471', 'font-size': 10 });
+    text.textContent = periods[index].period;
+    trendChart.appendChild(text);
+  }
+}
+
+// Helper: Table cell
+function createCell(text) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  return cell;
+}
+
+// Helper: Placeholder row for an empty table
+function createEmptyRow(columns, text) {
+  const row = document.createElement('tr');
+  const cell = createCell(text);
+  cell.colSpan = columns;
+  cell.className = 'empty';
+  row.appendChild(cell);
+  return row;
+}
+
+function renderContexts() {
+  contextsBody.textContent = '';
+  // In SIGHTING_CONTEXTS order, skipping contexts with no sightings
+  const byContext = new Map(stats.contexts.map(row => [row.context, row]));
+  const rows = Object.keys(SIGHTING_CONTEXTS).filter(context => byContext.has(context)).map(context => byContext.get(context));
+  if (rows.length === 0) {
+    contextsBody.appendChild(createEmptyRow(5, 'No accounts seen in this range'));
+    return;
+  }
+
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    const top = Object.entries(row.locations)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CONTEXT_TOP_LOCATIONS)
+      .map(([location, count]) => `${formatLocation(location)} ${formatPercent(count, row.withLocation)}`)
+      .join(', ');
+    tr.append(
+      createCell(SIGHTING_CONTEXTS[row.context]),
+      createCell(row.accounts.toLocaleString()),
+      createCell(`${row.withLocation.toLocaleString()} (${formatPercent(row.withLocation, row.accounts)})`),
+      createCell(formatPercent(row.noLocation + row.unresolved, row.accounts)),
+      createCell(top || '–')
+    );
+    contextsBody.appendChild(tr);
+  }
+}
+
+function renderTopLocations() {
+  locationsBody.textContent = '';
+  const rows = Object.entries(stats.total.locations).sort((a, b) => b[1] - a[1]);
+  if (rows.length === 0) {
+    locationsBody.appendChild(createEmptyRow(3, 'No locations resolved in this range'));
+    return;
+  }
+
+  const shown = rows.slice(0, TOP_LOCATIONS);
+  const otherCount = rows.slice(TOP_LOCATIONS).reduce((sum, [, count]) => sum + count, 0);
+  if (otherCount > 0) {
+    shown.push([`${rows.length - TOP_LOCATIONS} other locations`, otherCount]);
+  }
+  for (const [location, count] of shown) {
+    const tr = document.createElement('tr');
+    tr.append(
+      createCell(formatLocation(location)),
+      createCell(count.toLocaleString()),
+      createCell(formatPercent(count, stats.total.withLocation))
+    );
+    locationsBody.appendChild(tr);
+  }
+}
+
+dailyBtn.addEventListener('click', () => {
+  trendPeriod = 'day';
+  if (stats) renderTrend();
+});
+
+weeklyBtn.addEventListener('click', () => {
+  trendPeriod = 'week';
+  if (stats) renderTrend();
+});
+
+fromDateInput.addEventListener('change', loadStats);
+toDateInput.addEventListener('change', loadStats);
+
+renderPresets();
+applyPreset(RANGE_PRESETS[1]);
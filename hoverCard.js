@@ -0,0 +1,241 @@
+// Hover card for injected flags - shows the full About-account details for a cached account
+// Loaded before content.js; uses its cache (locationCache) and refreshLocation() at call time
+
+// Hover card state - one card on the page at a time
+const HOVER_CARD_SHOW_DELAY = 400; // ms
+const HOVER_CARD_HIDE_DELAY = 300; // ms
+let hoverCard = null;
+let hoverCardAnchor = null;
+let hoverCardPinned = false;
+let hoverCardShowTimeout = null;
+let hoverCardHideTimeout = null;
+
+// Labels for about_profile fields we know about; anything else is shown with a humanized key
+const ABOUT_PROFILE_LABELS = {
+  account_based_in: 'Based in',
+  location_accurate: 'Location accurate',
+  source: 'Connected via',
+  affiliate_username: 'Affiliated with',
+  username_changes: 'Username changes',
+  learn_more_url: 'Learn more'
+};
+
+// Helper: Format a timestamp (ms) for the hover card
+function formatCardDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'unknown';
+}
+
+// Helper: Render one about_profile value as text
+function formatAboutValue(key, value) {
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  if (key === 'username_changes' && value && typeof value === 'object') {
+    const count = parseInt(value.count, 10) || 0;
+    const lastChanged = value.last_changed_at_msec ? `, last on ${formatCardDate(parseInt(value.last_changed_at_msec, 10))}` : '';
+    return `${count}${lastChanged}`;
+  }
+  if (key === 'affiliate_username') {
+    return `@${value}`;
+  }
+  if (value && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Helper: Add a label/value row to the hover card
+function addHoverCardRow(card, label, value, href = null) {
+  const row = document.createElement('div');
+  Object.assign(row.style, { display: 'flex', justifyContent: 'space-between', gap: '12px', padding: '2px 0' });
+  
+  const labelSpan = document.createElement('span');
+  labelSpan.textContent = label;
+  labelSpan.style.color = '#536471';
+  
+  const valueElement = document.createElement(href ? 'a' : 'span');
+  valueElement.textContent = value;
+  valueElement.style.textAlign = 'right';
+  if (href) {
+    valueElement.href = href;
+    valueElement.target = '_blank';
+    valueElement.rel = 'noopener noreferrer';
+    valueElement.style.color = '#1d9bf0';
+  }
+  
+  row.append(labelSpan, valueElement);
+  card.appendChild(row);
+}
+
+// Build the card contents from the cached entry for this account
+// refreshFailed notes that "Refresh now" got no new answer, so the card still shows the cached one
+function renderHoverCard(card, screenName, refreshFailed = false) {
+  card.textContent = '';
+  const cached = locationCache.get(screenName);
+  const locationInfo = createLocationInfo(cached?.location || null, cached);
+  
+  const title = document.createElement('div');
+  title.textContent = locationInfo.location
+    ? `${locationInfo.flag || ''} ${locationInfo.location}`.trim()
+    : 'No location';
+  Object.assign(title.style, { fontWeight: '700', fontSize: '15px', marginBottom: '2px' });
+  card.appendChild(title);
+  
+  const subtitle = document.createElement('div');
+  const accountName = cached?.accountInfo?.name;
+  subtitle.textContent = accountName ? `${accountName} · @${screenName}` : `@${screenName}`;
+  Object.assign(subtitle.style, { color: '#536471', marginBottom: '8px' });
+  card.appendChild(subtitle);
+  
+  if (locationInfo.previousLocation) {
+    addHoverCardRow(card, 'Previously', `${locationInfo.previousLocation} (changed ${formatCardDate(locationInfo.changedAt)})`);
+  }
+  
+  for (const [key, value] of Object.entries(cached?.aboutProfile || {})) {
+    if (value === null || value === undefined || value === '' || key === '__typename') continue;
+    const label = ABOUT_PROFILE_LABELS[key] || key.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+    if (key === 'learn_more_url' && /^https?:\/\//.test(value)) {
+      addHoverCardRow(card, label, 'Open', value);
+    } else {
+      addHoverCardRow(card, label, formatAboutValue(key, value));
+    }
+  }
+  
+  const accountInfo = cached?.accountInfo;
+  if (accountInfo?.createdAt) {
+    addHoverCardRow(card, 'Joined', new Date(accountInfo.createdAt).toLocaleDateString());
+  }
+  if (accountInfo?.verifiedType || accountInfo?.isBlueVerified) {
+    addHoverCardRow(card, 'Verified', accountInfo.verifiedType || 'Blue');
+  }
+  
+  addHoverCardRow(card, 'Fetched', formatCardDate(cached?.cachedAt));
+  if (refreshFailed) {
+    addHoverCardRow(card, 'Refresh', 'Failed (rate limited or no answer) - try again later');
+  }
+  addHoverCardRow(card, 'Expires', formatCardDate(cached?.expiry));
+  
+  const refreshButton = document.createElement('button');
+  refreshButton.textContent = 'Refresh now';
+  Object.assign(refreshButton.style, {
+    marginTop: '8px',
+    width: '100%',
+    padding: '6px',
+    border: '1px solid #cfd9de',
+    borderRadius: '16px',
+    background: 'transparent',
+    color: '#0f1419',
+    fontWeight: '600',
+    cursor: 'pointer'
+  });
+  refreshButton.addEventListener('click', async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    refreshButton.disabled = true;
+    refreshButton.textContent = 'Refreshing...';
+    const locationInfo = await refreshLocation(screenName, LOOKUP_PRIORITY.HOVERED);
+    if (hoverCard === card) {
+      renderHoverCard(card, screenName, !locationInfo);
+    }
+  });
+  card.appendChild(refreshButton);
+}
+
+function showHoverCard(anchor, screenName) {
+  hideHoverCard();
+  
+  const card = document.createElement('div');
+  card.setAttribute('data-twitter-flag-card', 'true');
+  Object.assign(card.style, {
+    position: 'fixed',
+    zIndex: '10000',
+    minWidth: '240px',
+    maxWidth: '320px',
+    padding: '12px 16px',
+    borderRadius: '12px',
+    background: '#ffffff',
+    color: '#0f1419',
+    boxShadow: 'rgba(101, 119, 134, 0.2) 0px 0px 15px, rgba(101, 119, 134, 0.15) 0px 0px 3px 1px',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    fontSize: '13px',
+    lineHeight: '1.4'
+  });
+  renderHoverCard(card, screenName);
+  
+  // Keep the card open while the pointer is over it
+  card.addEventListener('mouseenter', () => clearTimeout(hoverCardHideTimeout));
+  card.addEventListener('mouseleave', scheduleHideHoverCard);
+  // Don't let clicks reach the tweet underneath (which would open it)
+  card.addEventListener('click', event => event.stopPropagation());
+  
+  document.body.appendChild(card);
+  
+  // Position below the flag, flipping above if there is no room
+  const anchorRect = anchor.getBoundingClientRect();
+  const cardRect = card.getBoundingClientRect();
+  const top = anchorRect.bottom + 6 + cardRect.height > window.innerHeight
+    ? Math.max(6, anchorRect.top - cardRect.height - 6)
+    : anchorRect.bottom + 6;
+  const left = Math.min(Math.max(6, anchorRect.left), window.innerWidth - cardRect.width - 6);
+  card.style.top = `${top}px`;
+  card.style.left = `${left}px`;
+  
+  hoverCard = card;
+  hoverCardAnchor = anchor;
+}
+
+function hideHoverCard() {
+  clearTimeout(hoverCardShowTimeout);
+  clearTimeout(hoverCardHideTimeout);
+  if (hoverCard) {
+    hoverCard.remove();
+  }
+  hoverCard = null;
+  hoverCardAnchor = null;
+  hoverCardPinned = false;
+}
+
+function scheduleHideHoverCard() {
+  clearTimeout(hoverCardShowTimeout);
+  if (hoverCardPinned) return;
+  clearTimeout(hoverCardHideTimeout);
+  hoverCardHideTimeout = setTimeout(hideHoverCard, HOVER_CARD_HIDE_DELAY);
+}
+
+// Open the card on hover (after a short delay) or pin it open on click
+function attachHoverCard(flagSpan, screenName) {
+  flagSpan.style.cursor = 'pointer';
+  
+  flagSpan.addEventListener('mouseenter', () => {
+    clearTimeout(hoverCardHideTimeout);
+    if (hoverCardAnchor === flagSpan) return;
+    clearTimeout(hoverCardShowTimeout);
+    hoverCardShowTimeout = setTimeout(() => showHoverCard(flagSpan, screenName), HOVER_CARD_SHOW_DELAY);
+  });
+  flagSpan.addEventListener('mouseleave', scheduleHideHoverCard);
+  
+  flagSpan.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (hoverCardAnchor === flagSpan && hoverCardPinned) {
+      hideHoverCard();
+      return;
+    }
+    if (hoverCardAnchor !== flagSpan) {
+      showHoverCard(flagSpan, screenName);
+    }
+    hoverCardPinned = true;
+  });
+}
+
+// Close a pinned card on outside click or Escape
+document.addEventListener('click', (event) => {
+  if (hoverCard && !hoverCard.contains(event.target) && event.target !== hoverCardAnchor) {
+    hideHoverCard();
+  }
+});
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && hoverCard) {
+    hideHoverCard();
+  }
+});
@@ -0,0 +1,346 @@
+// IndexedDB-backed location cache - one record per account, plus location history and dashboard sightings
+// Loaded into the background service worker with importScripts()
+
+const LOCATION_DB_NAME = 'twitter_location_flag';
+const LOCATION_DB_VERSION = 3;
+const LOCATIONS_STORE = 'locations';
+const HISTORY_STORE = 'history';
+const SIGHTINGS_STORE = 'sightings';
+
+// Old single-blob cache in chrome.storage.local, migrated once into IndexedDB
+const LEGACY_CACHE_KEY = 'twitter_location_cache';
+
+// Eviction
+const MAX_CACHE_ENTRIES = 100000;
+const PRUNE_DELAY = 30000; // ms after the last write before pruning
+const SIGHTING_RETENTION_DAYS = 400; // A year of dashboard trends, plus some slack
+
+let locationDbPromise = null;
+let pruneTimeout = null;
+
+// Helper: Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Helper: Resolve once a transaction has committed
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+function openLocationDb() {
+  if (locationDbPromise) {
+    return locationDbPromise;
+  }
+
+  locationDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(LOCATION_DB_NAME, LOCATION_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(LOCATIONS_STORE)) {
+        const store = db.createObjectStore(LOCATIONS_STORE, { keyPath: 'username' });
+        store.createIndex('expiry', 'expiry');
+        store.createIndex('cachedAt', 'cachedAt');
+      }
+      // Per-account location history: { username, entries: [{ location, firstSeen, lastSeen }], changedAt }
+      // changedAt is only set once an account has had two distinct locations
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'username' });
+        store.createIndex('changedAt', 'changedAt');
+      }
+      // Sightings (see sightings.js): { day, context, username, firstSeen, lastSeen, count }
+      if (!db.objectStoreNames.contains(SIGHTINGS_STORE)) {
+        const store = db.createObjectStore(SIGHTINGS_STORE, { keyPath: ['day', 'context', 'username'] });
+        store.createIndex('day', 'day');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      locationDbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return locationDbPromise;
+}
+
+// Get a single cache entry (expired entries included - callers check expiry)
+async function getCacheEntry(username) {
+  const db = await openLocationDb();
+  const store = db.transaction(LOCATIONS_STORE, 'readonly').objectStore(LOCATIONS_STORE);
+  return (await requestToPromise(store.get(username))) || null;
+}
+
+// Get several entries in one transaction as a Map of username -> entry (missing accounts are left out)
+async function getCacheEntries(usernames) {
+  const db = await openLocationDb();
+  const store = db.transaction(LOCATIONS_STORE, 'readonly').objectStore(LOCATIONS_STORE);
+  const entries = await Promise.all(usernames.map(username => requestToPromise(store.get(username))));
+
+  const found = new Map();
+  for (const entry of entries) {
+    if (entry) found.set(entry.username, entry);
+  }
+  return found;
+}
+
+// Write one or more entries: { username, location, expiry, cachedAt, previousLocation, changedAt, aboutProfile, accountInfo }
+async function putCacheEntries(entries) {
+  if (entries.length === 0) return;
+
+  const db = await openLocationDb();
+  const transaction = db.transaction(LOCATIONS_STORE, 'readwrite');
+  const store = transaction.objectStore(LOCATIONS_STORE);
+  for (const entry of entries) {
+    store.put(entry);
+  }
+  await transactionDone(transaction);
+  schedulePrune();
+}
+
+function putCacheEntry(entry) {
+  return putCacheEntries([entry]);
+}
+
+// Get all unexpired entries as { username: { location, expiry, cachedAt, ... } }
+async function getAllCacheEntries() {
+  const db = await openLocationDb();
+  const index = db.transaction(LOCATIONS_STORE, 'readonly').objectStore(LOCATIONS_STORE).index('expiry');
+  const entries = await requestToPromise(index.getAll(IDBKeyRange.lowerBound(Date.now(), true)));
+
+  const cacheObj = {};
+  for (const { username, ...data } of entries) {
+    cacheObj[username] = data;
+  }
+  return cacheObj;
+}
+
+// Count unexpired entries cached since a time by location: { location: accounts }
+async function countCachedLocations(since = 0) {
+  const db = await openLocationDb();
+  const index = db.transaction(LOCATIONS_STORE, 'readonly').objectStore(LOCATIONS_STORE).index('expiry');
+
+  const counts = {};
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(IDBKeyRange.lowerBound(Date.now(), true));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      const { location, cachedAt } = cursor.value;
+      if (location !== null && cachedAt >= since) {
+        counts[location] = (counts[location] || 0) + 1;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return counts;
+}
+
+// Record a fetched location in the account's history
+// Returns the latest change: { previousLocation, changedAt }, or null if it never changed
+// or changed more than RECENT_CHANGE_DAYS ago (see lookupStatus.js)
+async function recordLocationHistory(username, location, seenAt = Date.now()) {
+  const db = await openLocationDb();
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = transaction.objectStore(HISTORY_STORE);
+
+  const record = (await requestToPromise(store.get(username))) || { username, entries: [] };
+  const latest = record.entries[record.entries.length - 1];
+
+  if (latest && latest.location === location) {
+    latest.lastSeen = seenAt;
+  } else {
+    record.entries.push({ location, firstSeen: seenAt, lastSeen: seenAt });
+    if (latest) {
+      record.changedAt = seenAt;
+      console.log(`🔀 Location changed for @${username}: ${latest.location} → ${location}`);
+    }
+  }
+  store.put(record);
+  await transactionDone(transaction);
+
+  if (record.entries.length < 2 || !isRecentLocationChange(record.changedAt, seenAt)) {
+    return null;
+  }
+  return {
+    previousLocation: record.entries[record.entries.length - 2].location,
+    changedAt: record.changedAt
+  };
+}
+
+async function getLocationHistory(username) {
+  const db = await openLocationDb();
+  const store = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE);
+  return (await requestToPromise(store.get(username))) || null;
+}
+
+// Most recently changed accounts first: [{ username, from, to, changedAt }]
+async function getRecentLocationChanges(limit = 20) {
+  const db = await openLocationDb();
+  const index = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).index('changedAt');
+
+  const changes = [];
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || changes.length >= limit) return resolve();
+      const { username, entries, changedAt } = cursor.value;
+      changes.push({
+        username,
+        from: entries[entries.length - 2].location,
+        to: entries[entries.length - 1].location,
+        changedAt
+      });
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return changes;
+}
+
+// Merge sightings from a content script: [{ username, context, day, seenAt }]
+async function putSightings(sightings) {
+  if (sightings.length === 0) return;
+
+  const db = await openLocationDb();
+  const transaction = db.transaction(SIGHTINGS_STORE, 'readwrite');
+  const store = transaction.objectStore(SIGHTINGS_STORE);
+  for (const { username, context, day, seenAt } of sightings) {
+    const record = (await requestToPromise(store.get([day, context, username]))) ||
+      { day, context, username, firstSeen: seenAt, lastSeen: seenAt, count: 0 };
+    record.firstSeen = Math.min(record.firstSeen, seenAt);
+    record.lastSeen = Math.max(record.lastSeen, seenAt);
+    record.count++;
+    store.put(record);
+  }
+  await transactionDone(transaction);
+  schedulePrune();
+}
+
+// Call back with every sighting between two day keys (inclusive), oldest day first
+async function forEachSighting(fromDay, toDay, callback) {
+  const db = await openLocationDb();
+  const index = db.transaction(SIGHTINGS_STORE, 'readonly').objectStore(SIGHTINGS_STORE).index('day');
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(IDBKeyRange.bound(fromDay, toDay));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      callback(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Drop sightings older than SIGHTING_RETENTION_DAYS
+async function pruneSightings() {
+  const cutoffDay = toDayKey(Date.now() - SIGHTING_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const db = await openLocationDb();
+  const transaction = db.transaction(SIGHTINGS_STORE, 'readwrite');
+  const index = transaction.objectStore(SIGHTINGS_STORE).index('day');
+
+  let removed = 0;
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(IDBKeyRange.upperBound(cutoffDay, true));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      cursor.delete();
+      removed++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  await transactionDone(transaction);
+  if (removed > 0) {
+    console.log(`🧹 Pruned ${removed} sightings`);
+  }
+}
+
+// Remove expired entries, then the oldest ones if we are still over MAX_CACHE_ENTRIES
+async function pruneLocationStore() {
+  const db = await openLocationDb();
+  const transaction = db.transaction(LOCATIONS_STORE, 'readwrite');
+  const store = transaction.objectStore(LOCATIONS_STORE);
+
+  let removed = 0;
+  await new Promise((resolve, reject) => {
+    const request = store.index('expiry').openCursor(IDBKeyRange.upperBound(Date.now()));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      cursor.delete();
+      removed++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  let excess = (await requestToPromise(store.count())) - MAX_CACHE_ENTRIES;
+  if (excess > 0) {
+    await new Promise((resolve, reject) => {
+      const request = store.index('cachedAt').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || excess <= 0) return resolve();
+        cursor.delete();
+        removed++;
+        excess--;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  await transactionDone(transaction);
+  if (removed > 0) {
+    console.log(`🧹 Pruned ${removed} cache entries`);
+  }
+}
+
+// Debounce pruning so a burst of writes only triggers one pass
+function schedulePrune() {
+  if (pruneTimeout) return;
+  pruneTimeout = setTimeout(() => {
+    pruneTimeout = null;
+    pruneLocationStore().catch(error => console.error('Error pruning location store:', error));
+    pruneSightings().catch(error => console.error('Error pruning sightings:', error));
+  }, PRUNE_DELAY);
+}
+
+// One-time migration of the chrome.storage.local blob into IndexedDB
+async function migrateLegacyCache() {
+  const result = await chrome.storage.local.get(LEGACY_CACHE_KEY);
+  const legacy = result[LEGACY_CACHE_KEY];
+  if (!legacy) return;
+
+  const now = Date.now();
+  const entries = [];
+  for (const [username, data] of Object.entries(legacy)) {
+    if (data.expiry && data.expiry > now) {
+      entries.push({
+        username,
+        location: data.location ?? null,
+        expiry: data.expiry,
+        cachedAt: data.cachedAt || now
+      });
+    }
+  }
+
+  await putCacheEntries(entries);
+  await chrome.storage.local.remove(LEGACY_CACHE_KEY);
+  console.log(`📦 Migrated ${entries.length} cache entries from chrome.storage.local to IndexedDB`);
+}
@@ -0,0 +1,20 @@
+// Lookup priorities - which queued accounts the background worker fetches first
+// Shared by the content script, background worker and bulk lookup page
+
+const LOOKUP_PRIORITY = {
+  VISIBLE: 'visible', // On screen now, or asked for directly (a "?" badge, the profile header)
+  HOVERED: 'hovered', // Under the pointer: the hover card's refresh, a right-clicked profile link
+  PREFETCH: 'prefetch' // Near the viewport, bulk lookups, breakdown panel and retries
+};
+
+// Higher ranks are fetched first; a full queue evicts the lowest
+const LOOKUP_PRIORITY_RANKS = {
+  [LOOKUP_PRIORITY.VISIBLE]: 3,
+  [LOOKUP_PRIORITY.HOVERED]: 2,
+  [LOOKUP_PRIORITY.PREFETCH]: 1
+};
+
+// Unknown or missing priorities count as visible (the behaviour before priorities existed)
+function getLookupPriorityRank(priority) {
+  return LOOKUP_PRIORITY_RANKS[priority] || LOOKUP_PRIORITY_RANKS[LOOKUP_PRIORITY.VISIBLE];
+}
@@ -0,0 +1,135 @@
+// Lookup rules - decide which accounts on the page are worth an API request
+// Loaded before content.js and by the options page; rules are stored in chrome.storage.local
+// Cached locations are always shown - the rules only stop new requests
+const LOOKUP_RULES_KEY = 'lookup_rules';
+
+const DEFAULT_LOOKUP_RULES = {
+  skipFollowed: false, // Only accounts I don't follow
+  onlyRepliesAndQuotes: false, // Only authors of replies and quote tweets
+  skipVerifiedOrganizations: false, // Never for accounts with the organization (gold) checkmark
+  handleListMode: 'off', // 'off', 'allow' (only these handles) or 'block' (never these handles)
+  handles: [], // Lowercase, without @
+  routeMode: 'all', // 'all' or 'only' (only on pages whose path contains one of the routes)
+  routes: ['/search', '/status/']
+};
+
+// Fill in defaults for anything missing or malformed
+function normalizeLookupRules(raw) {
+  const rules = { ...DEFAULT_LOOKUP_RULES };
+  if (!raw || typeof raw !== 'object') {
+    return rules;
+  }
+  for (const key of ['skipFollowed', 'onlyRepliesAndQuotes', 'skipVerifiedOrganizations']) {
+    rules[key] = raw[key] === true;
+  }
+  if (['off', 'allow', 'block'].includes(raw.handleListMode)) {
+    rules.handleListMode = raw.handleListMode;
+  }
+  if (Array.isArray(raw.handles)) {
+    rules.handles = raw.handles.filter(handle => typeof handle === 'string').map(handle => handle.toLowerCase());
+  }
+  if (['all', 'only'].includes(raw.routeMode)) {
+    rules.routeMode = raw.routeMode;
+  }
+  if (Array.isArray(raw.routes)) {
+    rules.routes = raw.routes.filter(route => typeof route === 'string' && route.trim() !== '');
+  }
+  return rules;
+}
+
+async function loadLookupRules() {
+  try {
+    const result = await chrome.storage.local.get(LOOKUP_RULES_KEY);
+    return normalizeLookupRules(result[LOOKUP_RULES_KEY]);
+  } catch (error) {
+    console.error('Error loading lookup rules:', error);
+    return { ...DEFAULT_LOOKUP_RULES };
+  }
+}
+
+function onLookupRulesChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[LOOKUP_RULES_KEY]) {
+      callback(normalizeLookupRules(changes[LOOKUP_RULES_KEY].newValue));
+    }
+  });
+}
+
+// Content script side - uses content.js globals (locationCache, addLookupBadge) at call time
+let lookupRules = { ...DEFAULT_LOOKUP_RULES };
+
+// Follow state and verified type the page script saw in X's own responses
+const accountFacts = new Map(); // Map<username, {following, verifiedType}>
+
+function rememberAccountFacts(accounts) {
+  if (!Array.isArray(accounts)) return;
+  for (const { screenName, following, verifiedType } of accounts) {
+    if (typeof screenName === 'string') {
+      accountFacts.set(screenName, { following: following === true, verifiedType: verifiedType || null });
+    }
+  }
+}
+
+// Helper: Unknown follow state counts as not followed; user cells show an "unfollow" button for followed accounts
+function isFollowedAccount(container, screenName) {
+  const facts = accountFacts.get(screenName);
+  if (facts) return facts.following;
+  return !!container.querySelector('[data-testid$="-unfollow"]');
+}
+
+function isVerifiedOrganization(screenName) {
+  const verifiedType = accountFacts.get(screenName)?.verifiedType || locationCache.get(screenName)?.accountInfo?.verifiedType;
+  return verifiedType === 'Business';
+}
+
+// Replies: any tweet below the focal one on a /status/ page, or a timeline tweet with "Replying to"
+// Quote tweets: the tweet embeds another tweet's User-Name inside a link card
+function isReplyOrQuoteTweet(container) {
+  const article = container.closest('article[data-testid="tweet"]');
+  if (!article) return false;
+  if (article.querySelector('[role="link"] [data-testid="User-Name"]')) return true;
+  if (window.location.pathname.includes('/status/') && article.getAttribute('tabindex') !== '-1') return true;
+  return (article.textContent || '').includes('Replying to');
+}
+
+// Returns why a lookup is skipped, or null if the account should be looked up
+function getLookupSkipReason(container, screenName) {
+  const handle = screenName.toLowerCase();
+  if (lookupRules.handleListMode === 'allow') {
+    // Allowlisted handles are always looked up; everyone else never is
+    return lookupRules.handles.includes(handle) ? null : 'not on your allowlist';
+  }
+  if (lookupRules.handleListMode === 'block' && lookupRules.handles.includes(handle)) {
+    return 'on your blocklist';
+  }
+  if (lookupRules.routeMode === 'only' && !lookupRules.routes.some(route => window.location.pathname.includes(route))) {
+    return 'not on one of your lookup pages';
+  }
+  if (lookupRules.onlyRepliesAndQuotes && !isReplyOrQuoteTweet(container)) {
+    return 'not a reply or quote tweet';
+  }
+  if (lookupRules.skipFollowed && isFollowedAccount(container, screenName)) {
+    return 'you follow this account';
+  }
+  if (lookupRules.skipVerifiedOrganizations && isVerifiedOrganization(screenName)) {
+    return 'verified organization';
+  }
+  return null;
+}
+
+// Put a click-to-lookup marker where the flag would go; returns true if the rules skip this container
+function skipLookupByRules(container, screenName) {
+  const reason = getLookupSkipReason(container, screenName);
+  if (!reason) return false;
+
+  addLookupBadge(container, screenName, '📍', `Look up location (skipped: ${reason})`);
+  return true;
+}
+
+// Drop click-to-lookup markers so the next scan re-evaluates them (after the rules or lookup mode change)
+function clearSkippedLookups() {
+  document.querySelectorAll('[data-twitter-flag-lookup]').forEach(marker => marker.remove());
+  document.querySelectorAll('[data-flag-added="skipped"]').forEach(container => {
+    delete container.dataset.flagAdded;
+  });
+}
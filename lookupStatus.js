@@ -0,0 +1,55 @@
+// Typed outcome of a location lookup - shared by the background worker, content script and extension pages
+// The page script classifies each AboutAccountQuery answer; rate limits and a broken endpoint are reported separately
+const LOOKUP_STATUS = {
+  OK: 'ok',
+  NO_LOCATION: 'no_location',
+  NOT_FOUND: 'not_found',
+  SUSPENDED: 'suspended',
+  PROTECTED: 'protected',
+  AUTH_ERROR: 'auth_error',
+  SERVER_ERROR: 'server_error',
+  TIMEOUT: 'timeout'
+};
+
+// Transient failures are never cached - the background retries them instead
+const TRANSIENT_LOOKUP_STATUSES = [LOOKUP_STATUS.AUTH_ERROR, LOOKUP_STATUS.SERVER_ERROR, LOOKUP_STATUS.TIMEOUT];
+
+// Setting (see settings.js) holding the cache TTL in days for each cacheable status
+const LOOKUP_STATUS_EXPIRY_SETTINGS = {
+  [LOOKUP_STATUS.OK]: 'cacheExpiryDays',
+  [LOOKUP_STATUS.NO_LOCATION]: 'nullCacheExpiryDays',
+  [LOOKUP_STATUS.NOT_FOUND]: 'notFoundExpiryDays',
+  [LOOKUP_STATUS.SUSPENDED]: 'suspendedExpiryDays',
+  [LOOKUP_STATUS.PROTECTED]: 'protectedExpiryDays'
+};
+
+// Small marker shown next to the username instead of a flag
+const LOOKUP_STATUS_INDICATORS = {
+  [LOOKUP_STATUS.NO_LOCATION]: { symbol: '∅', label: 'No location', title: 'This account has no location' },
+  [LOOKUP_STATUS.NOT_FOUND]: { symbol: '–', label: 'Not found', title: 'Account not found' },
+  [LOOKUP_STATUS.SUSPENDED]: { symbol: '⊘', label: 'Suspended', title: 'Account suspended' },
+  [LOOKUP_STATUS.PROTECTED]: { symbol: '🔒', label: 'Protected', title: 'Protected account - location not available' },
+  [LOOKUP_STATUS.AUTH_ERROR]: { symbol: '🔑', label: 'Auth error', title: 'X rejected the request (logged out?) - will retry' },
+  [LOOKUP_STATUS.SERVER_ERROR]: { symbol: '⚠', label: 'Server error', title: 'X returned an error - will retry' },
+  [LOOKUP_STATUS.TIMEOUT]: { symbol: '⏱', label: 'Timed out', title: 'Lookup timed out - will retry' }
+};
+
+function isTransientStatus(status) {
+  return TRANSIENT_LOOKUP_STATUSES.includes(status);
+}
+
+// Status of a cache entry or lookup result (entries cached before statuses existed only have a location)
+function getLookupStatus(entry) {
+  if (entry?.status && Object.values(LOOKUP_STATUS).includes(entry.status)) {
+    return entry.status;
+  }
+  return entry?.location ? LOOKUP_STATUS.OK : LOOKUP_STATUS.NO_LOCATION;
+}
+
+// A changed location is only flagged (↻, "Previously" in the hover card) for this long after the change;
+// the full history stays available on the profile header and in the popup's list of changes
+const RECENT_CHANGE_DAYS = 30;
+
+function isRecentLocationChange(changedAt, now = Date.now()) {
+  return !!changedAt && now - changedAt < RECENT_CHANGE_DAYS * 24 * 60 * 60 * 1000;
+}
@@ -0,0 +1,153 @@
+// Options page - edits the tunables defined in settings.js, the rules in lookupRules.js
+// and the per-site and per-route switches in siteControls.js
+const settingsForm = document.getElementById('settingsForm');
+const settingsList = document.getElementById('settingsList');
+const resetBtn = document.getElementById('resetBtn');
+const saveStatus = document.getElementById('saveStatus');
+
+// Build one row per setting definition
+function renderSettings(settings) {
+  settingsList.innerHTML = '';
+  
+  for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+    const row = document.createElement('div');
+    row.className = 'setting';
+    row.innerHTML = `
+      <div class="setting-row">
+        <label class="setting-label" for="setting-${key}"></label>
+        <div class="setting-input">
+          <input type="number" id="setting-${key}" name="${key}" step="1">
+          <span></span>
+        </div>
+      </div>
+      <div class="setting-description"></div>
+      <div class="setting-error" id="error-${key}"></div>
+    `;
+    row.querySelector('label').textContent = definition.label;
+    row.querySelector('.setting-input span').textContent = definition.unit;
+    row.querySelector('.setting-description').textContent = 
+      `${definition.description} (${definition.min}–${definition.max}, default ${definition.default})`;
+    
+    const input = row.querySelector('input');
+    input.min = definition.min;
+    input.max = definition.max;
+    input.value = settings[key];
+    input.addEventListener('input', () => showError(key, validateSetting(key, readInput(input))));
+    
+    settingsList.appendChild(row);
+  }
+}
+
+function renderLookupRules(rules) {
+  for (const key of ['skipFollowed', 'onlyRepliesAndQuotes', 'skipVerifiedOrganizations']) {
+    document.getElementById(`rule-${key}`).checked = rules[key];
+  }
+  document.getElementById('rule-handleListMode').value = rules.handleListMode;
+  document.getElementById('rule-handles').value = rules.handles.join('\n');
+  document.getElementById('rule-routeMode').value = rules.routeMode;
+  document.getElementById('rule-routes').value = rules.routes.join('\n');
+}
+
+// Split on newlines, commas or spaces; handles lose their @
+function readList(id) {
+  return document.getElementById(id).value.split(/[\s,]+/).filter(item => item !== '');
+}
+
+function readLookupRules() {
+  return normalizeLookupRules({
+    skipFollowed: document.getElementById('rule-skipFollowed').checked,
+    onlyRepliesAndQuotes: document.getElementById('rule-onlyRepliesAndQuotes').checked,
+    skipVerifiedOrganizations: document.getElementById('rule-skipVerifiedOrganizations').checked,
+    handleListMode: document.getElementById('rule-handleListMode').value,
+    handles: readList('rule-handles').map(handle => handle.replace(/^@/, '')),
+    routeMode: document.getElementById('rule-routeMode').value,
+    routes: readList('rule-routes')
+  });
+}
+
+function renderSiteControls(controls) {
+  for (const host of SITE_HOSTS) {
+    document.getElementById(`site-${host}`).checked = !controls.disabledHosts.includes(host);
+  }
+  document.getElementById('site-disabledRoutes').value = controls.disabledRoutes.join('\n');
+  document.getElementById('site-disabledRoutes').placeholder = SUGGESTED_DISABLED_ROUTES.join('\n');
+}
+
+// Keeps a running pause, which is set from the popup
+async function saveSiteControlsForm() {
+  const controls = await loadSiteControls();
+  await saveSiteControls({
+    ...controls,
+    disabledHosts: SITE_HOSTS.filter(host => !document.getElementById(`site-${host}`).checked),
+    disabledRoutes: readList('site-disabledRoutes')
+  });
+}
+
+function readInput(input) {
+  return input.value.trim() === '' ? NaN : Number(input.value);
+}
+
+function showError(key, error) {
+  document.getElementById(`error-${key}`).textContent = error || '';
+  document.getElementById(`setting-${key}`).classList.toggle('invalid', !!error);
+}
+
+function showStatus(text) {
+  saveStatus.textContent = text;
+  clearTimeout(showStatus.timeout);
+  showStatus.timeout = setTimeout(() => {
+    saveStatus.textContent = '';
+  }, 3000);
+}
+
+// Validate every field and save only if all are in range
+settingsForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  
+  const updated = {};
+  let hasErrors = false;
+  for (const key of Object.keys(SETTING_DEFINITIONS)) {
+    const value = readInput(document.getElementById(`setting-${key}`));
+    const error = validateSetting(key, value);
+    showError(key, error);
+    if (error) {
+      hasErrors = true;
+    } else {
+      updated[key] = value;
+    }
+  }
+  
+  if (hasErrors) {
+    showStatus('Fix the highlighted settings before saving');
+    return;
+  }
+  
+  try {
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: updated });
+    await chrome.storage.local.set({ [LOOKUP_RULES_KEY]: readLookupRules() });
+    await saveSiteControlsForm();
+    showStatus('Saved');
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    showStatus(`Could not save: ${error.message}`);
+  }
+});
+
+resetBtn.addEventListener('click', async () => {
+  if (!confirm('Restore all settings to their defaults?')) {
+    return;
+  }
+  
+  await chrome.storage.sync.remove(SETTINGS_KEY);
+  await chrome.storage.local.remove(LOOKUP_RULES_KEY);
+  const controls = await loadSiteControls();
+  await saveSiteControls({ ...DEFAULT_SITE_CONTROLS, pausedUntil: controls.pausedUntil });
+  renderSettings(getDefaultSettings());
+  renderLookupRules(normalizeLookupRules(null));
+  renderSiteControls(normalizeSiteControls(null));
+  showStatus('Defaults restored');
+});
+
+loadSettings().then(renderSettings);
+loadLookupRules().then(renderLookupRules);
+loadSiteControls().then(renderSiteControls);
@@ -0,0 +1,116 @@
+// Private channel between the content script and pageScript.js, which runs in the page's own JS world
+// Both run at document_start, before any of the page's scripts (see manifest.json). pageScript.js registers
+// the page's first window "message" listener, and this file posts one end of a MessageChannel straight away,
+// so it is the first window message of the page: the page script takes the port and stops the event before
+// any listener the page adds later can see it. Everything after that goes over the port, so X's scripts
+// can't trigger our authenticated requests. The page script also saves the prototype methods it uses on the
+// port and on responses before they run, so replacing those later doesn't expose the port or change its
+// answers; a page script that replaced other built-ins (Array, Map, Promise) could still skew what it reports.
+// Messages from the page script are checked against PAGE_MESSAGE_SCHEMAS and anything else is dropped.
+// Runs at document_start with lookupStatus.js; content.js registers its handlers later with onPageMessage()
+
+const PAGE_CHANNEL_INIT = '__flagChannelInit'; // Keep in sync with pageScript.js
+const MAX_PAGE_MESSAGE_ITEMS = 1000; // Largest captured locations/accounts batch accepted
+const PAGE_BATCH_SPACING = 250; // ms between the starts of the requests in one batch of lookups
+const MAX_UNHANDLED_PAGE_MESSAGES = 100; // Kept until content.js registers a handler for their type
+
+// Schema checks - each returns whether a value has the expected shape
+const isString = value => typeof value === 'string';
+const isBoolean = value => typeof value === 'boolean';
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScreenName = value => isString(value) && /^[A-Za-z0-9_]{1,15}$/.test(value);
+const isLookupStatus = value => Object.values(LOOKUP_STATUS).includes(value);
+const optional = check => value => value === undefined || value === null || check(value);
+const arrayOf = check => value => Array.isArray(value) && value.length <= MAX_PAGE_MESSAGE_ITEMS && value.every(check);
+const shape = fields => value => isObject(value) && Object.entries(fields).every(([key, check]) => check(value[key]));
+
+const isEndpoint = shape({
+  queryId: value => isString(value) && /^[A-Za-z0-9_-]{1,64}$/.test(value),
+  features: optional(isObject),
+  fieldToggles: optional(isObject)
+});
+
+// Messages the page script may send, by type
+const PAGE_MESSAGE_SCHEMAS = {
+  __channelReady: shape({}),
+  __locationResponse: shape({
+    requestId: Number.isInteger,
+    screenName: isScreenName,
+    location: optional(isString),
+    aboutProfile: optional(isObject),
+    accountInfo: optional(isObject),
+    status: optional(isLookupStatus),
+    isRateLimited: optional(isBoolean),
+    rateLimitReset: optional(Number.isFinite),
+    rateLimit: optional(shape({ limit: Number.isInteger, remaining: Number.isInteger, reset: Number.isInteger })),
+    endpointBroken: optional(isBoolean)
+  }),
+  __capturedLocations: shape({
+    locations: arrayOf(shape({
+      screenName: isScreenName,
+      location: isString,
+      aboutProfile: optional(isObject),
+      accountInfo: optional(isObject)
+    }))
+  }),
+  __capturedAccounts: shape({
+    accounts: arrayOf(shape({
+      screenName: isScreenName,
+      following: isBoolean,
+      verifiedType: optional(isString)
+    }))
+  }),
+  __endpointLearned: shape({ endpoint: isEndpoint }),
+  __routeChanged: shape({ url: isString })
+};
+
+// Channel state
+let pagePort = null;
+let pageChannelReady = false; // Set once the page script answers over the port
+const pageMessageHandlers = new Map(); // type -> handler(data)
+let unhandledPageMessages = []; // Valid messages that arrived before their handler was registered
+
+// Register a handler, and hand it any messages of its type that arrived first
+// (the channel opens at document_start, content.js only once the page becomes active)
+function onPageMessage(type, handler) {
+  pageMessageHandlers.set(type, handler);
+  const waiting = unhandledPageMessages.filter(data => data.type === type);
+  unhandledPageMessages = unhandledPageMessages.filter(data => data.type !== type);
+  waiting.forEach(handler);
+}
+
+function isValidPageMessage(data) {
+  const schema = isObject(data) && Object.hasOwn(PAGE_MESSAGE_SCHEMAS, data.type) ? PAGE_MESSAGE_SCHEMAS[data.type] : null;
+  return !!schema && schema(data);
+}
+
+// Hand the page script its end of the channel - must run at document_start, before any page script
+function connectPageChannel() {
+  const channel = new MessageChannel();
+  pagePort = channel.port1;
+  pagePort.onmessage = (event) => {
+    if (!isValidPageMessage(event.data)) {
+      console.warn('Dropped malformed message from page script:', event.data?.type);
+      return;
+    }
+    if (event.data.type === '__channelReady') {
+      pageChannelReady = true;
+    }
+    const handler = pageMessageHandlers.get(event.data.type);
+    if (handler) {
+      handler(event.data);
+    } else if (unhandledPageMessages.length < MAX_UNHANDLED_PAGE_MESSAGES) {
+      unhandledPageMessages.push(event.data);
+    }
+  };
+  window.postMessage({ type: PAGE_CHANNEL_INIT }, window.location.origin, [channel.port2]);
+}
+
+// Send a message to the page script; false if the channel isn't up yet
+function postToPageScript(message) {
+  if (!pageChannelReady) return false;
+  pagePort.postMessage(message);
+  return true;
+}
+
+connectPageChannel();
@@ -1,5 +1,62 @@
 // This script runs in the page context to access cookies and make API calls
 (function() {
+  // Private channel to the content script (see pageChannel.js): its port arrives in the page's first window
+  // message, which this listener - registered at document_start, before any page script - takes and stops.
+  // Nothing else is read from or sent through window messages.
+  const CHANNEL_INIT = '__flagChannelInit';
+  const MAX_QUEUED_MESSAGES = 100; // Captures made before the handshake, kept until it arrives
+  const MAX_BATCH_SIZE = 20; // Largest batch of lookups accepted in one request
+  const MAX_BATCH_SPACING = 5000; // ms
+  let contentPort = null;
+  let queuedMessages = [];
+  
+  // Built-ins the channel and response parsing use, saved now - before any page script runs - and only
+  // called through these copies. Page scripts share our prototypes, so one that replaced
+  // MessagePort.prototype.postMessage later would get the port as `this`, and one that replaced
+  // Response.prototype.json or Headers.prototype.get could hand us made-up locations or rate limits.
+  const bindMethod = method => Function.prototype.call.bind(method);
+  const bindGetter = (prototype, name) => bindMethod(Object.getOwnPropertyDescriptor(prototype, name).get);
+  const portPostMessage = bindMethod(MessagePort.prototype.postMessage);
+  const messageData = bindGetter(MessageEvent.prototype, 'data');
+  const responseStatus = bindGetter(Response.prototype, 'status');
+  const responseUrl = bindGetter(Response.prototype, 'url');
+  const responseHeaders = bindGetter(Response.prototype, 'headers');
+  const responseClone = bindMethod(Response.prototype.clone);
+  const responseJson = bindMethod(Response.prototype.json);
+  const responseText = bindMethod(Response.prototype.text);
+  const headersGet = bindMethod(Headers.prototype.get);
+  const xhrStatus = bindGetter(XMLHttpRequest.prototype, 'status');
+  const xhrResponseUrl = bindGetter(XMLHttpRequest.prototype, 'responseURL');
+  const xhrResponseType = bindGetter(XMLHttpRequest.prototype, 'responseType');
+  const xhrResponse = bindGetter(XMLHttpRequest.prototype, 'response');
+  const xhrResponseText = bindGetter(XMLHttpRequest.prototype, 'responseText');
+  const regExpTest = bindMethod(RegExp.prototype.test);
+  const parseJson = JSON.parse;
+  
+  function postToContentScript(message) {
+    if (contentPort) {
+      portPostMessage(contentPort, message);
+    } else if (queuedMessages.length < MAX_QUEUED_MESSAGES) {
+      queuedMessages.push(message);
+    }
+  }
+  
+  // Stays registered so later handshakes (only page code could send them) are stopped too, never answered
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.type !== CHANNEL_INIT) return;
+    event.stopImmediatePropagation();
+    if (contentPort || event.ports.length !== 1) {
+      console.warn('Ignored a second channel handshake');
+      return;
+    }
+    
+    contentPort = event.ports[0];
+    contentPort.onmessage = handleContentMessage;
+    portPostMessage(contentPort, { type: '__channelReady' });
+    queuedMessages.forEach(message => portPostMessage(contentPort, message));
+    queuedMessages = [];
+  }, true);
+  
   // Store headers from Twitter's own API calls
   let twitterHeaders = null;
   let headersReady = false;
@@ -26,23 +83,222 @@
     console.log('Captured Twitter API headers:', Object.keys(headerObj));
   }
   
+  // AboutAccountQuery endpoint - X rotates the query ID on redeploys, so it is learned from
+  // X's own requests or its main JS bundle; the content script persists the last one that worked
+  const DEFAULT_QUERY_ID = 'XRqGa7EeokUU5kppkh13EA';
+  const BUNDLE_SCAN_INTERVAL = 10 * 60 * 1000; // ms between scans of X's JS bundle
+  let aboutAccountEndpoint = { queryId: DEFAULT_QUERY_ID, features: null, fieldToggles: null };
+  let lastReportedQueryId = null;
+  let lastBundleScan = 0;
+  
+  // Tell the content script an endpoint works so it is kept as the last known good one
+  function reportWorkingEndpoint(endpoint) {
+    aboutAccountEndpoint = endpoint;
+    if (endpoint.queryId === lastReportedQueryId) return;
+    lastReportedQueryId = endpoint.queryId;
+    console.log(`AboutAccountQuery endpoint: ${endpoint.queryId}`);
+    postToContentScript({ type: '__endpointLearned', endpoint });
+  }
+  
+  // Helper: Parse a JSON query parameter, or null
+  function parseJsonParam(params, name) {
+    try {
+      return params.has(name) ? parseJson(params.get(name)) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  // Learn the query ID and flags from one of X's own AboutAccountQuery requests that succeeded
+  function learnEndpointFromUrl(url) {
+    const match = String(url).match(/\/i\/api\/graphql\/([A-Za-z0-9_-]+)\/AboutAccountQuery/);
+    if (!match) return;
+    
+    const params = new URL(String(url), window.location.origin).searchParams;
+    reportWorkingEndpoint({
+      queryId: match[1],
+      features: parseJsonParam(params, 'features'),
+      fieldToggles: parseJsonParam(params, 'fieldToggles')
+    });
+  }
+  
+  // Look for the current query ID in X's main JS bundle (at most once per BUNDLE_SCAN_INTERVAL)
+  async function discoverQueryIdFromBundle() {
+    if (Date.now() - lastBundleScan < BUNDLE_SCAN_INTERVAL) return null;
+    lastBundleScan = Date.now();
+    
+    const bundles = Array.from(document.querySelectorAll('script[src]'))
+      .map(script => script.src)
+      .filter(src => /\/client-web[^/]*\/main\.[^/]+\.js/.test(src));
+    
+    for (const src of bundles) {
+      try {
+        const source = await responseText(await originalFetch.call(window, src));
+        const match = source.match(/queryId:"([A-Za-z0-9_-]+)",operationName:"AboutAccountQuery"/);
+        if (match) {
+          console.log(`Found AboutAccountQuery ID ${match[1]} in ${src}`);
+          return match[1];
+        }
+      } catch (error) {
+        console.log(`Could not scan ${src}:`, error.message);
+      }
+    }
+    return null;
+  }
+  
+  function buildAboutAccountUrl(endpoint, screenName) {
+    let url = `https://x.com/i/api/graphql/${endpoint.queryId}/AboutAccountQuery?variables=${encodeURIComponent(JSON.stringify({ screenName }))}`;
+    if (endpoint.features) {
+      url += `&features=${encodeURIComponent(JSON.stringify(endpoint.features))}`;
+    }
+    if (endpoint.fieldToggles) {
+      url += `&fieldToggles=${encodeURIComponent(JSON.stringify(endpoint.fieldToggles))}`;
+    }
+    return url;
+  }
+  
+  // Helper: Whether an HTTP status is a success (2xx)
+  function isSuccess(httpStatus) {
+    return httpStatus >= 200 && httpStatus < 300;
+  }
+  
+  // The real URL of a response, checked before its body is read: only X's own GraphQL API
+  const GRAPHQL_URL_PATTERN = /^https:\/\/(x|twitter)\.com\/i\/api\/graphql\//;
+  function isGraphQLUrl(url) {
+    return typeof url === 'string' && regExpTest(GRAPHQL_URL_PATTERN, url);
+  }
+  
+  // A stale query ID or missing feature flags come back as 400/404/422,
+  // or as a 200 with GraphQL errors and no data at all
+  function isEndpointBroken(httpStatus, data) {
+    if (!isSuccess(httpStatus)) {
+      return [400, 404, 422].includes(httpStatus);
+    }
+    return !data?.data && Array.isArray(data?.errors);
+  }
+  
+  // Classify an answer as one of the statuses in lookupStatus.js (not loaded in the page, hence the literals)
+  function classifyUserResult(user) {
+    if (!user) return 'not_found';
+    if (user.__typename === 'UserUnavailable') {
+      return /suspend/i.test(`${user.reason || ''} ${user.message || ''}`) ? 'suspended' : 'not_found';
+    }
+    if (user.about_profile?.account_based_in) return 'ok';
+    if (user.privacy?.protected || user.legacy?.protected) return 'protected';
+    return 'no_location';
+  }
+  
+  function classifyHttpError(status) {
+    return status === 401 || status === 403 ? 'auth_error' : 'server_error';
+  }
+  
+  // Pick the account metadata shown in the flag's hover card from a GraphQL user result
+  function extractAccountInfo(user) {
+    return {
+      name: user.core?.name || user.legacy?.name || null,
+      createdAt: user.core?.created_at || user.legacy?.created_at || null,
+      isBlueVerified: !!user.is_blue_verified,
+      verifiedType: user.verification?.verified_type || user.legacy?.verified_type || null,
+      isProtected: !!(user.privacy?.protected || user.legacy?.protected)
+    };
+  }
+  
+  // Walk a GraphQL response and collect every user that carries about_profile.account_based_in
+  // (AboutAccountQuery when the About page is opened, and any timeline that embeds it),
+  // plus whether the logged-in user follows each account and its verified type, for lookup rules
+  function collectAccountLocations(node, found, accounts, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 50) return;
+    
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        collectAccountLocations(item, found, accounts, depth + 1);
+      }
+      return;
+    }
+    
+    const location = node.about_profile?.account_based_in;
+    const screenName = node.core?.screen_name || node.legacy?.screen_name;
+    if (location && screenName) {
+      found.set(screenName, {
+        screenName,
+        location,
+        aboutProfile: node.about_profile,
+        accountInfo: extractAccountInfo(node)
+      });
+    }
+    
+    const following = node.relationship_perspectives?.following ?? node.legacy?.following;
+    if (screenName && typeof following === 'boolean') {
+      accounts.set(screenName, {
+        screenName,
+        following,
+        verifiedType: node.verification?.verified_type || node.legacy?.verified_type || null
+      });
+    }
+    
+    for (const value of Object.values(node)) {
+      collectAccountLocations(value, found, accounts, depth + 1);
+    }
+  }
+  
+  // Send locations and account facts found in X's own responses to the content script
+  function captureLocationsFromResponse(data) {
+    const found = new Map();
+    const accounts = new Map();
+    collectAccountLocations(data, found, accounts);
+    
+    if (accounts.size > 0) {
+      postToContentScript({
+        type: '__capturedAccounts',
+        accounts: Array.from(accounts.values())
+      });
+    }
+    if (found.size === 0) return;
+    
+    console.log(`Captured ${found.size} location${found.size > 1 ? 's' : ''} from Twitter's own response`);
+    postToContentScript({
+      type: '__capturedLocations',
+      locations: Array.from(found.values())
+    });
+  }
+  
   // Intercept fetch to capture Twitter's headers
   const originalFetch = window.fetch;
   window.fetch = function(...args) {
     const url = args[0];
     const options = args[1] || {};
+    const isGraphQL = typeof url === 'string' && url.includes('x.com/i/api/graphql');
     
     // If it's a Twitter GraphQL API call, capture ALL headers
-    if (typeof url === 'string' && url.includes('x.com/i/api/graphql')) {
+    if (isGraphQL) {
       if (options.headers) {
         captureHeaders(options.headers);
         console.log('Captured Twitter headers:', Object.keys(twitterHeaders || {}));
       }
     }
     
-    return originalFetch.apply(this, args);
+    const responsePromise = originalFetch.apply(this, args);
+    
+    if (isGraphQL) {
+      captureFromFetch(responsePromise);
+    }
+    
+    return responsePromise;
   };
   
+  // Read a copy of the body so Twitter's own code still gets the original
+  async function captureFromFetch(responsePromise) {
+    try {
+      const response = await responsePromise;
+      const url = responseUrl(response);
+      if (!isSuccess(responseStatus(response)) || !isGraphQLUrl(url)) return;
+      learnEndpointFromUrl(url);
+      captureLocationsFromResponse(await responseJson(responseClone(response)));
+    } catch (error) {
+      // Failed or not JSON - nothing to capture
+    }
+  }
+  
   // Also intercept XMLHttpRequest
   const originalXHROpen = XMLHttpRequest.prototype.open;
   const originalXHRSend = XMLHttpRequest.prototype.send;
@@ -60,6 +316,23 @@
         Object.assign(headers, this._headers);
       }
       captureHeaders(headers);
+      
+      // Read the response body once Twitter's request completes
+      this.addEventListener('load', function() {
+        const url = xhrResponseUrl(this);
+        if (!isSuccess(xhrStatus(this)) || !isGraphQLUrl(url)) return;
+        learnEndpointFromUrl(url);
+        try {
+          const responseType = xhrResponseType(this);
+          if (responseType === 'json') {
+            captureLocationsFromResponse(xhrResponse(this));
+          } else if (responseType === '' || responseType === 'text') {
+            captureLocationsFromResponse(parseJson(xhrResponseText(this)));
+          }
+        } catch (error) {
+          // Not JSON - nothing to capture
+        }
+      });
     }
     return originalXHRSend.apply(this, args);
   };
@@ -71,6 +344,20 @@
     return originalSetRequestHeader.apply(this, [header, value]);
   };
   
+  // Report X's client-side navigation - pushState/replaceState are invisible from the content script's world
+  function reportRouteChange() {
+    postToContentScript({ type: '__routeChanged', url: window.location.href });
+  }
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function(...args) {
+      const result = original.apply(this, args);
+      reportRouteChange();
+      return result;
+    };
+  }
+  window.addEventListener('popstate', reportRouteChange);
+
   // Wait a bit for Twitter to make some API calls first
   setTimeout(() => {
     if (!headersReady) {
@@ -83,103 +370,183 @@
     }
   }, 3000);
   
-  // Listen for fetch requests from content script via postMessage
-  window.addEventListener('message', async function(event) {
-    // Only accept messages from our extension
-    if (event.data && event.data.type === '__fetchLocation') {
-      const { screenName, requestId } = event.data;
+  // Make one AboutAccountQuery request; returns its HTTP status, rate limit headers and parsed body (if any)
+  async function fetchAboutAccount(endpoint, screenName) {
+    // Use captured headers or minimal defaults
+    const headers = twitterHeaders || {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+    
+    // Ensure credentials are included
+    // Use the unwrapped fetch so our own response isn't captured a second time
+    const response = await originalFetch.call(window, buildAboutAccountUrl(endpoint, screenName), {
+      method: 'GET',
+      credentials: 'include',
+      headers: headers,
+      referrer: window.location.href,
+      referrerPolicy: 'origin-when-cross-origin'
+    });
+    const httpStatus = responseStatus(response);
+    let data = null;
+    if (httpStatus !== 429) {
+      try {
+        data = await responseJson(response);
+      } catch (error) {
+        // Not JSON
+      }
+    }
+    return { httpStatus, rateLimit: readRateLimit(response), data };
+  }
+  
+  // Helper: Plain object (not null or an array)
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+  
+  // Requests from the content script, over the private port; anything malformed is dropped
+  function handleContentMessage(event) {
+    const data = messageData(event);
+    if (!isObject(data)) return;
+    
+    // Last known good endpoint, restored by the content script from extension storage
+    if (data.type === '__endpointConfig') {
+      const endpoint = data.endpoint;
+      if (isObject(endpoint) && typeof endpoint.queryId === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(endpoint.queryId)) {
+        aboutAccountEndpoint = {
+          queryId: endpoint.queryId,
+          features: isObject(endpoint.features) ? endpoint.features : null,
+          fieldToggles: isObject(endpoint.fieldToggles) ? endpoint.fieldToggles : null
+        };
+        lastReportedQueryId = endpoint.queryId;
+      }
+    } else if (data.type === '__fetchLocations') {
+      const screenNames = data.screenNames;
+      if (Number.isInteger(data.requestId) && Array.isArray(screenNames) &&
+          screenNames.length > 0 && screenNames.length <= MAX_BATCH_SIZE &&
+          screenNames.every(name => typeof name === 'string' && /^[A-Za-z0-9_]{1,15}$/.test(name)) &&
+          Number.isFinite(data.spacing) && data.spacing >= 0 && data.spacing <= MAX_BATCH_SPACING) {
+        fetchLocations(screenNames, data.requestId, data.spacing);
+      }
+    } else {
+      console.warn('Dropped unknown message from content script:', data.type);
+    }
+  }
+  
+  // Look up a batch of accounts, starting each request spacing ms after the previous one, and answer
+  // each over the port as it completes (same requestId). Once one is rate limited the rest aren't sent.
+  async function fetchLocations(screenNames, requestId, spacing) {
+    // Wait for headers to be ready
+    if (!headersReady) {
+      let waitCount = 0;
+      while (!headersReady && waitCount < 30) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        waitCount++;
+      }
+    }
+    
+    let rateLimited = null; // The first rate-limited answer in this batch
+    await Promise.all(screenNames.map(async (screenName, index) => {
+      await new Promise(resolve => setTimeout(resolve, index * spacing));
+      const result = rateLimited ? { ...rateLimited, screenName } : await lookUpAccount(screenName);
+      if (result.isRateLimited && !rateLimited) {
+        rateLimited = { location: null, status: null, isRateLimited: true, rateLimitReset: result.rateLimitReset, endpointBroken: false };
+      }
+      postToContentScript({ type: '__locationResponse', requestId, ...result });
+    }));
+  }
+  
+  // x-rate-limit-* headers of any AboutAccountQuery response: { limit, remaining, reset (Unix seconds) }, or null
+  function readRateLimit(response) {
+    const headers = responseHeaders(response);
+    const limit = parseInt(headersGet(headers, 'x-rate-limit-limit'), 10);
+    const remaining = parseInt(headersGet(headers, 'x-rate-limit-remaining'), 10);
+    const reset = parseInt(headersGet(headers, 'x-rate-limit-reset'), 10);
+    return [limit, remaining, reset].every(Number.isInteger) ? { limit, remaining, reset } : null;
+  }
+  
+  // Make one AboutAccountQuery lookup; returns the answer for the content script,
+  // with the rate limit budget from the response headers so the background can pace itself
+  async function lookUpAccount(screenName) {
+    try {
+      let endpoint = aboutAccountEndpoint;
+      let { httpStatus, rateLimit, data } = await fetchAboutAccount(endpoint, screenName);
       
-      // Wait for headers to be ready
-      if (!headersReady) {
-        let waitCount = 0;
-        while (!headersReady && waitCount < 30) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-          waitCount++;
+      // Query ID may have rotated - look for the new one and retry once
+      if (isEndpointBroken(httpStatus, data)) {
+        const queryId = await discoverQueryIdFromBundle();
+        if (queryId && queryId !== endpoint.queryId) {
+          endpoint = { ...endpoint, queryId };
+          ({ httpStatus, rateLimit, data } = await fetchAboutAccount(endpoint, screenName));
         }
       }
+      const endpointBroken = isEndpointBroken(httpStatus, data);
       
-      try {
-        const variables = JSON.stringify({ screenName });
-        const url = `https://x.com/i/api/graphql/XRqGa7EeokUU5kppkh13EA/AboutAccountQuery?variables=${encodeURIComponent(variables)}`;
-        
-        // Use captured headers or minimal defaults
-        const headers = twitterHeaders || {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        };
-        
-        // Ensure credentials are included
-        const response = await fetch(url, {
-          method: 'GET',
-          credentials: 'include',
-          headers: headers,
-          referrer: window.location.href,
-          referrerPolicy: 'origin-when-cross-origin'
-        });
+      let location = null;
+      let aboutProfile = null;
+      let accountInfo = null;
+      let rateLimitReset = null;
+      let status = null;
+      if (endpointBroken) {
+        console.error(`AboutAccountQuery endpoint broken (query ID ${endpoint.queryId}, HTTP ${httpStatus}):`, data?.errors || '');
+      } else if (isSuccess(httpStatus) && !data) {
+        // 200 with a body that isn't JSON - X is having problems
+        status = 'server_error';
+        console.log(`Unreadable API response for ${screenName}`);
+      } else if (isSuccess(httpStatus)) {
+        reportWorkingEndpoint(endpoint);
+        console.log(`API response for ${screenName}:`, data);
+        const user = data?.data?.user_result_by_screen_name?.result;
+        status = classifyUserResult(user);
+        location = user?.about_profile?.account_based_in || null;
+        aboutProfile = user?.about_profile || null;
+        accountInfo = user && status !== 'suspended' && status !== 'not_found' ? extractAccountInfo(user) : null;
+        console.log(`Extracted location for ${screenName}:`, location, `(${status})`);
         
-        let location = null;
-        if (response.ok) {
-          const data = await response.json();
-          console.log(`API response for ${screenName}:`, data);
-          location = data?.data?.user_result_by_screen_name?.result?.about_profile?.account_based_in || null;
-          console.log(`Extracted location for ${screenName}:`, location);
-          
-          // Debug: log the full path to see what's available
-          if (!location && data?.data?.user_result_by_screen_name?.result) {
-            console.log('User result available but no location:', {
-              hasAboutProfile: !!data.data.user_result_by_screen_name.result.about_profile,
-              aboutProfile: data.data.user_result_by_screen_name.result.about_profile
-            });
-          }
-        } else {
-          const errorText = await response.text().catch(() => '');
-          
-          // Handle rate limiting
-          if (response.status === 429) {
-            const resetTime = response.headers.get('x-rate-limit-reset');
-            const remaining = response.headers.get('x-rate-limit-remaining');
-            const limit = response.headers.get('x-rate-limit-limit');
+        // Debug: log the full path to see what's available
+        if (!location && data?.data?.user_result_by_screen_name?.result) {
+          console.log('User result available but no location:', {
+            hasAboutProfile: !!data.data.user_result_by_screen_name.result.about_profile,
+            aboutProfile: data.data.user_result_by_screen_name.result.about_profile
+          });
+        }
+      } else {
+        // Handle rate limiting
+        if (httpStatus === 429) {
+          if (rateLimit) {
+            const resetDate = new Date(rateLimit.reset * 1000);
+            const waitTime = resetDate.getTime() - Date.now();
             
-            if (resetTime) {
-              const resetDate = new Date(parseInt(resetTime) * 1000);
-              const now = Date.now();
-              const waitTime = resetDate.getTime() - now;
-              
-              console.log(`Rate limited! Limit: ${limit}, Remaining: ${remaining}`);
-              console.log(`Rate limit resets at: ${resetDate.toLocaleString()}`);
-              console.log(`Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes before retrying...`);
-              
-              // Store rate limit info for content script
-              window.postMessage({
-                type: '__rateLimitInfo',
-                resetTime: parseInt(resetTime),
-                waitTime: Math.max(0, waitTime)
-              }, '*');
-            }
-          } else {
-            console.log(`Twitter API error for ${screenName}:`, response.status, response.statusText, errorText.substring(0, 200));
+            console.log(`Rate limited! Limit: ${rateLimit.limit}, Remaining: ${rateLimit.remaining}`);
+            console.log(`Rate limit resets at: ${resetDate.toLocaleString()}`);
+            console.log(`Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes before retrying...`);
+            
+            // Pass the reset time along so the background queue can back off
+            rateLimitReset = rateLimit.reset;
           }
+        } else {
+          status = classifyHttpError(httpStatus);
+          console.log(`Twitter API error for ${screenName}:`, httpStatus, data?.errors || '');
         }
-        
-        // Send response back to content script via postMessage
-        // Include error status so content script knows not to cache on rate limit
-        window.postMessage({
-          type: '__locationResponse',
-          screenName,
-          location,
-          requestId,
-          isRateLimited: response.status === 429
-        }, '*');
-      } catch (error) {
-        console.error('Error fetching location:', error);
-        window.postMessage({
-          type: '__locationResponse',
-          screenName,
-          location: null,
-          requestId
-        }, '*');
       }
+      
+      // status tells the background what to cache; rate limits and a broken endpoint are never cached
+      return {
+        screenName,
+        location,
+        aboutProfile,
+        accountInfo,
+        status,
+        isRateLimited: httpStatus === 429,
+        rateLimitReset,
+        rateLimit,
+        endpointBroken
+      };
+    } catch (error) {
+      // Network failure - worth retrying later
+      console.error('Error fetching location:', error);
+      return { screenName, location: null, status: 'server_error' };
     }
-  });
+  }
 })();
 
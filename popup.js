@@ -1,20 +1,74 @@
 // Popup script for extension toggle
 const TOGGLE_KEY = 'extension_enabled';
 const DEFAULT_ENABLED = true;
+const LOOKUP_MODE_KEY = 'lookup_mode'; // 'auto' or 'manual' (click-to-lookup), read by content.js
 const STATS_KEY = 'location_stats';
+const ENDPOINT_STATUS_KEY = 'endpoint_status'; // chrome.storage.session, written by background.js
+const RATE_LIMIT_STATE_KEY = 'rate_limit_state'; // chrome.storage.session, written by background.js
+const QUEUE_STATUS_KEY = 'queue_status'; // chrome.storage.session, written by background.js
+const FILTER_RULES_KEY = 'filter_rules';
+const TWITTER_TAB_URLS = ['https://x.com/*', 'https://twitter.com/*'];
 
 // Get toggle element
 const toggleSwitch = document.getElementById('toggleSwitch');
+const lookupModeSelect = document.getElementById('lookupModeSelect');
+const tabRow = document.getElementById('tabRow');
+const tabToggleSwitch = document.getElementById('tabToggleSwitch');
+const pauseBtn = document.getElementById('pauseBtn');
 const status = document.getElementById('status');
+const endpointWarning = document.getElementById('endpointWarning');
+const queueState = document.getElementById('queueState');
+const queueLength = document.getElementById('queueLength');
+const queueRequests = document.getElementById('queueRequests');
+const queueHitRatio = document.getElementById('queueHitRatio');
+const budgetStatus = document.getElementById('budgetStatus');
+const queueLastError = document.getElementById('queueLastError');
 const statsTotal = document.getElementById('statsTotal');
 const statsList = document.getElementById('statsList');
 const resetStatsBtn = document.getElementById('resetStatsBtn');
+const settingsBtn = document.getElementById('settingsBtn');
+const bulkBtn = document.getElementById('bulkBtn');
+const dashboardBtn = document.getElementById('dashboardBtn');
+const changesList = document.getElementById('changesList');
+const filterList = document.getElementById('filterList');
+const filterForm = document.getElementById('filterForm');
+const filterAction = document.getElementById('filterAction');
+const filterMatch = document.getElementById('filterMatch');
+const filterCountries = document.getElementById('filterCountries');
+const filterError = document.getElementById('filterError');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const importStrategy = document.getElementById('importStrategy');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+const transferStatus = document.getElementById('transferStatus');
 
-// Load current state and statistics
-chrome.storage.local.get([TOGGLE_KEY, STATS_KEY], (result) => {
+// Load current state, statistics and filter rules
+chrome.storage.local.get([TOGGLE_KEY, LOOKUP_MODE_KEY, STATS_KEY, FILTER_RULES_KEY], (result) => {
   const isEnabled = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
+  lookupModeSelect.value = result[LOOKUP_MODE_KEY] === 'manual' ? 'manual' : 'auto';
   updateToggle(isEnabled);
   loadAndDisplayStats(result[STATS_KEY]);
+  displayFilterRules(result[FILTER_RULES_KEY] || []);
+});
+
+// Pause, per-site and per-route controls, and the current tab if it is an x.com/twitter.com page
+let siteControls = { ...DEFAULT_SITE_CONTROLS };
+let activeTab = null;
+let activeTabDisabled = false;
+
+Promise.all([
+  loadSiteControls(),
+  chrome.tabs.query({ active: true, currentWindow: true }),
+  chrome.storage.session.get(DISABLED_TABS_KEY)
+]).then(([controls, tabs, session]) => {
+  siteControls = controls;
+  if (tabs[0] && /^https:\/\/(www\.|mobile\.)?(x|twitter)\.com\//.test(tabs[0].url || '')) {
+    activeTab = tabs[0];
+    activeTabDisabled = (session[DISABLED_TABS_KEY] || []).includes(activeTab.id);
+  }
+  tabRow.hidden = !activeTab;
+  updateStatus();
 });
 
 // Listen for storage changes to update stats in real-time
@@ -22,6 +76,15 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName === 'local' && changes[STATS_KEY]) {
     // Stats have been updated, refresh the display
     loadAndDisplayStats(changes[STATS_KEY].newValue);
+  } else if (areaName === 'session' && changes[ENDPOINT_STATUS_KEY]) {
+    displayEndpointStatus(changes[ENDPOINT_STATUS_KEY].newValue);
+  } else if (areaName === 'session' && changes[RATE_LIMIT_STATE_KEY]) {
+    displayRateLimitState(changes[RATE_LIMIT_STATE_KEY].newValue);
+  } else if (areaName === 'session' && changes[QUEUE_STATUS_KEY]) {
+    displayQueueStatus(changes[QUEUE_STATUS_KEY].newValue);
+  } else if (areaName === 'local' && changes[SITE_CONTROLS_KEY]) {
+    siteControls = normalizeSiteControls(changes[SITE_CONTROLS_KEY].newValue);
+    updateStatus();
   }
 });
 
@@ -34,10 +97,10 @@ toggleSwitch.addEventListener('click', () => {
     chrome.storage.local.set({ [TOGGLE_KEY]: newState }, () => {
       updateToggle(newState);
       
-      // Notify content script to update
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
+      // Notify the content script in every open x.com/twitter.com tab
+      chrome.tabs.query({ url: TWITTER_TAB_URLS }, (tabs) => {
+        for (const tab of tabs) {
+          chrome.tabs.sendMessage(tab.id, {
             type: 'extensionToggle',
             enabled: newState
           }).catch(() => {
@@ -49,18 +112,136 @@ toggleSwitch.addEventListener('click', () => {
   });
 });
 
+// Per-tab switch - remembered in session storage so the tab keeps it across reloads
+tabToggleSwitch.addEventListener('click', async () => {
+  if (!activeTab) return;
+  activeTabDisabled = !activeTabDisabled;
+  
+  const result = await chrome.storage.session.get(DISABLED_TABS_KEY);
+  const disabledTabs = (result[DISABLED_TABS_KEY] || []).filter(id => id !== activeTab.id);
+  if (activeTabDisabled) {
+    disabledTabs.push(activeTab.id);
+  }
+  await chrome.storage.session.set({ [DISABLED_TABS_KEY]: disabledTabs });
+  
+  chrome.tabs.sendMessage(activeTab.id, { type: 'tabToggle', disabled: activeTabDisabled }).catch(() => {
+    // Tab might not have content script loaded yet, it reads the state on load
+  });
+  updateStatus();
+});
+
+// Content scripts re-enable themselves when the pause ends
+pauseBtn.addEventListener('click', async () => {
+  siteControls = {
+    ...siteControls,
+    pausedUntil: isPaused(siteControls) ? null : Date.now() + PAUSE_DURATION
+  };
+  await saveSiteControls(siteControls);
+  updateStatus();
+});
+
+// Content scripts pick the new mode up from storage
+lookupModeSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ [LOOKUP_MODE_KEY]: lookupModeSelect.value }, () => {
+    updateToggle(toggleSwitch.classList.contains('enabled'));
+  });
+});
+
 function updateToggle(isEnabled) {
-  if (isEnabled) {
-    toggleSwitch.classList.add('enabled');
-    status.textContent = 'Extension is enabled';
+  lookupModeSelect.disabled = !isEnabled;
+  toggleSwitch.classList.toggle('enabled', isEnabled);
+  updateStatus();
+}
+
+// Describe whether flags show in the current tab, and why not
+function updateStatus() {
+  const enabled = toggleSwitch.classList.contains('enabled');
+  const paused = isPaused(siteControls);
+  pauseBtn.textContent = paused ? 'Resume' : 'Pause 1 hour';
+  pauseBtn.disabled = !enabled;
+  tabToggleSwitch.classList.toggle('enabled', !activeTabDisabled);
+  
+  const url = activeTab ? new URL(activeTab.url) : null;
+  const reason = getInactiveReason({
+    enabled,
+    controls: siteControls,
+    tabDisabled: activeTabDisabled,
+    hostname: url ? url.hostname : '',
+    pathname: url ? url.pathname : ''
+  });
+  
+  if (reason === null) {
+    status.textContent = lookupModeSelect.value === 'manual'
+      ? 'Extension is enabled - click ? to look up an account'
+      : 'Extension is enabled';
     status.style.color = '#1d9bf0';
+  } else if (reason === 'paused') {
+    const until = new Date(siteControls.pausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    status.textContent = `Paused until ${until}`;
+    status.style.color = '#536471';
   } else {
-    toggleSwitch.classList.remove('enabled');
-    status.textContent = 'Extension is disabled';
+    status.textContent = `Extension is ${reason}`;
     status.style.color = '#536471';
   }
 }
 
+// Warn when X rejects the location query, so missing flags aren't mistaken for missing locations
+function displayEndpointStatus(endpointStatus) {
+  endpointWarning.hidden = !endpointStatus?.broken;
+  if (endpointStatus?.broken) {
+    endpointWarning.textContent = `Location lookups failing since ${new Date(endpointStatus.since).toLocaleTimeString()} - X changed its API. Browsing x.com usually lets the extension pick up the new one.`;
+  }
+}
+
+chrome.storage.session.get(ENDPOINT_STATUS_KEY, (result) => {
+  displayEndpointStatus(result[ENDPOINT_STATUS_KEY]);
+});
+
+// Helper: Unix seconds as HH:MM
+function formatResetTime(seconds) {
+  return new Date(seconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Show X's lookup budget for the current window (from the last response's headers)
+function displayRateLimitState(state) {
+  const budget = state?.budget;
+  budgetStatus.textContent = budget?.reset > Math.floor(Date.now() / 1000)
+    ? `${budget.remaining} of ${budget.limit} left · resets ${formatResetTime(budget.reset)}`
+    : '–';
+}
+
+// Show what the background queue is doing (see publishQueueStatus in background.js)
+function displayQueueStatus(queueStatus) {
+  if (!queueStatus) return;
+  const lookups = queueStatus.cacheHits + queueStatus.cacheMisses;
+
+  const stateLabels = {
+    rate_limited: `Rate limited until ${formatResetTime(queueStatus.resetTime)}`,
+    budget_wait: `Waiting for the budget to reset at ${formatResetTime(queueStatus.resetTime)}`,
+    fetching: 'Fetching'
+  };
+  queueState.textContent = stateLabels[queueStatus.state] || 'Idle';
+  queueState.style.color = queueStatus.state === 'rate_limited' ? '#f4212e' : '';
+  queueLength.textContent = queueStatus.queueLength;
+  queueRequests.textContent = queueStatus.requestsMade;
+  queueHitRatio.textContent = lookups > 0
+    ? `${Math.round(queueStatus.cacheHits / lookups * 100)}% (${queueStatus.cacheHits} of ${lookups})`
+    : '–';
+
+  queueLastError.hidden = !queueStatus.lastError;
+  if (queueStatus.lastError) {
+    queueLastError.textContent = `Last error (${new Date(queueStatus.lastError.at).toLocaleTimeString()}): ${queueStatus.lastError.message}`;
+  }
+}
+
+chrome.storage.session.get(QUEUE_STATUS_KEY, (result) => {
+  displayQueueStatus(result[QUEUE_STATUS_KEY]);
+});
+
+chrome.storage.session.get(RATE_LIMIT_STATE_KEY, (result) => {
+  displayRateLimitState(result[RATE_LIMIT_STATE_KEY]);
+});
+
 // Load and display statistics
 function loadAndDisplayStats(stats) {
   if (!stats || Object.keys(stats).length === 0) {
@@ -81,7 +262,7 @@ function loadAndDisplayStats(stats) {
   statsList.innerHTML = sorted.map(([location, count]) => {
     const flag = getCountryFlag(location);
     const displayFlag = flag || '';
-    const displayLocation = flag ? location : `(${location})`;
+    const displayLocation = escapeHtml(flag ? location : `(${location})`);
     
     return `
       <div class="stats-item">
@@ -89,31 +270,229 @@ function loadAndDisplayStats(stats) {
           <span>${displayFlag}</span>
           <span>${displayLocation}</span>
         </div>
-        <span>${count}</span>
+        <span>${Number(count) || 0}</span>
       </div>
     `;
   }).join('');
 }
 
+// Helper: Escape text from the API or an imported file before putting it in innerHTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Helper: Flag (or bracketed name) for a location
+function formatLocation(location) {
+  const flag = getCountryFlag(location);
+  return flag ? `${flag} ${escapeHtml(location)}` : `(${escapeHtml(location)})`;
+}
+
+// Load and display accounts whose location changed, most recent first
+function loadAndDisplayChanges() {
+  chrome.runtime.sendMessage({ type: 'getRecentChanges', limit: 20 }, (response) => {
+    const changes = response?.changes || [];
+    if (changes.length === 0) {
+      changesList.innerHTML = '<div class="stats-empty">No location changes detected yet</div>';
+      return;
+    }
+    
+    changesList.innerHTML = changes.map(({ username, from, to, changedAt }) => `
+      <div class="change-item">
+        <a href="https://x.com/${escapeHtml(username)}" target="_blank">@${escapeHtml(username)}</a>
+        ${formatLocation(from)} → ${formatLocation(to)}
+        <div class="change-date">${new Date(changedAt).toLocaleString()}</div>
+      </div>
+    `).join('');
+  });
+}
+
+loadAndDisplayChanges();
+
+// Tweet filter rules - content scripts pick up changes through chrome.storage.onChanged
+const FILTER_ACTION_LABELS = { hide: 'Hide', collapse: 'Collapse', highlight: 'Highlight' };
+
+function describeFilterRule(rule) {
+  if (rule.match === 'unknown') {
+    return `${FILTER_ACTION_LABELS[rule.action]} accounts with no location`;
+  }
+  const countries = rule.countries.map(key => {
+    const info = getCountryInfoByCode(key) || getCountryInfo(key);
+    return escapeHtml(info ? `${info.flag} ${info.name}` : key);
+  }).join(', ');
+  return `${FILTER_ACTION_LABELS[rule.action]} ${rule.match === 'in' ? 'in' : 'not in'} ${countries}`;
+}
+
+function displayFilterRules(rules) {
+  if (rules.length === 0) {
+    filterList.innerHTML = '<div class="stats-empty">No filters - all tweets are shown</div>';
+    return;
+  }
+  
+  filterList.innerHTML = rules.map(rule => `
+    <div class="filter-rule">
+      <span>${describeFilterRule(rule)}</span>
+      <button class="filter-remove-btn" data-rule-id="${escapeHtml(rule.id)}" title="Remove rule">✕</button>
+    </div>
+  `).join('');
+}
+
+function saveFilterRules(rules) {
+  chrome.storage.local.set({ [FILTER_RULES_KEY]: rules }, () => displayFilterRules(rules));
+}
+
+// Resolve "France, DE, South Asia" to the keys content scripts match on (ISO code, or region name)
+function parseFilterCountries(text) {
+  const countries = [];
+  const unknown = [];
+  for (const name of text.split(',').map(part => part.trim()).filter(Boolean)) {
+    const info = getCountryInfo(name) || getCountryInfoByCode(name);
+    if (info) {
+      countries.push(info.code || info.name);
+    } else {
+      unknown.push(name);
+    }
+  }
+  return { countries: [...new Set(countries)], unknown };
+}
+
+filterForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  filterError.textContent = '';
+  
+  const rule = {
+    id: `${Date.now()}`,
+    action: filterAction.value,
+    match: filterMatch.value,
+    countries: []
+  };
+  
+  if (rule.match !== 'unknown') {
+    const { countries, unknown } = parseFilterCountries(filterCountries.value);
+    if (unknown.length > 0) {
+      filterError.textContent = `Unknown country or region: ${unknown.join(', ')}`;
+      return;
+    }
+    if (countries.length === 0) {
+      filterError.textContent = 'Enter at least one country or region';
+      return;
+    }
+    rule.countries = countries;
+  }
+  
+  chrome.storage.local.get([FILTER_RULES_KEY], (result) => {
+    saveFilterRules([...(result[FILTER_RULES_KEY] || []), rule]);
+    filterCountries.value = '';
+  });
+});
+
+filterList.addEventListener('click', (event) => {
+  const ruleId = event.target.dataset?.ruleId;
+  if (!ruleId) return;
+  
+  chrome.storage.local.get([FILTER_RULES_KEY], (result) => {
+    saveFilterRules((result[FILTER_RULES_KEY] || []).filter(rule => rule.id !== ruleId));
+  });
+});
+
 // Reset statistics
 resetStatsBtn.addEventListener('click', () => {
   if (confirm('Are you sure you want to reset all statistics? This cannot be undone.')) {
-    // Clear stats from storage
-    chrome.storage.local.remove(STATS_KEY, () => {
-      // Notify content script to clear in-memory stats
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'resetStats'
-          }).catch(() => {
-            // Tab might not have content script loaded yet, that's okay
-          });
-        }
-      });
-      
-      // Refresh display
+    // The background recounts from accounts cached after the reset
+    chrome.runtime.sendMessage({ type: 'resetStats' }, () => {
       loadAndDisplayStats(null);
     });
   }
 });
 
+// Open the options page
+settingsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Open the bulk lookup page
+bulkBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('bulk.html') });
+});
+
+// Open the dashboard page
+dashboardBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+});
+
+// Cache backup - export the cache and statistics, or merge a file back into the cache
+function showTransferStatus(message, isError = false) {
+  transferStatus.textContent = message;
+  transferStatus.classList.toggle('error', isError);
+}
+
+// Get the cache from the background store and the stats from local storage
+function loadExportData(callback) {
+  chrome.runtime.sendMessage({ type: 'loadCache' }, (response) => {
+    if (!response || response.error) {
+      showTransferStatus(`Export failed: ${response?.error || 'no response'}`, true);
+      return;
+    }
+    chrome.storage.local.get([STATS_KEY], (result) => {
+      callback(response.entries, result[STATS_KEY] || {});
+    });
+  });
+}
+
+function exportFileName(suffix, extension) {
+  return `x-location-${suffix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+exportJsonBtn.addEventListener('click', () => {
+  loadExportData((entries, stats) => {
+    downloadFile(exportFileName('cache', 'json'), buildJsonExport(entries, stats), 'application/json');
+    showTransferStatus(`Exported ${Object.keys(entries).length} cached accounts`);
+  });
+});
+
+// CSV export is two files: one row per cached account, and the statistics table
+exportCsvBtn.addEventListener('click', () => {
+  loadExportData((entries, stats) => {
+    downloadFile(exportFileName('cache', 'csv'), buildCacheCsvExport(entries), 'text/csv');
+    downloadFile(exportFileName('stats', 'csv'), buildStatsCsvExport(stats), 'text/csv');
+    showTransferStatus(`Exported ${Object.keys(entries).length} cached accounts`);
+  });
+});
+
+importBtn.addEventListener('click', () => {
+  importFile.click();
+});
+
+importFile.addEventListener('change', async () => {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+
+  let parsed;
+  try {
+    parsed = parseImportFile(file.name, await file.text());
+  } catch (error) {
+    showTransferStatus(`Could not read ${file.name}: ${error.message}`, true);
+    return;
+  }
+  if (parsed.entries.length === 0) {
+    showTransferStatus(`No accounts found in ${file.name}`, true);
+    return;
+  }
+
+  showTransferStatus(`Importing ${parsed.entries.length} accounts...`);
+  chrome.runtime.sendMessage({
+    type: 'importCache',
+    entries: parsed.entries,
+    strategy: importStrategy.value
+  }, (response) => {
+    if (!response || response.error) {
+      showTransferStatus(`Import failed: ${response?.error || 'no response'}`, true);
+      return;
+    }
+    const { added, updated, skipped, expired } = response.counts;
+    const ignored = expired + parsed.invalid;
+    showTransferStatus(`Imported: ${added} added, ${updated} updated, ${skipped} kept${ignored > 0 ? `, ${ignored} ignored (expired or invalid)` : ''}`);
+  });
+});
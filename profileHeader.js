@@ -0,0 +1,159 @@
+// Profile page header item - "Based in 🇫🇷 France" next to the joined date and website,
+// with when it was fetched and earlier locations from the background's history store
+// Loaded before content.js; uses its cache (locationCache), getLocation() and lookup mode/rules at call time
+
+// Profile sub-pages that still show the profile header
+const PROFILE_TABS = ['with_replies', 'media', 'likes', 'highlights', 'articles', 'superfollows'];
+
+// Screen name being fetched for the header, so repeated scans don't queue it twice
+let profileHeaderLookup = null;
+
+// Screen name of the profile page being shown, or null on any other page
+function getProfilePageScreenName(pathname = window.location.pathname) {
+  const [name, tab, ...rest] = pathname.split('/').filter(Boolean);
+  if (!name || rest.length > 0 || (tab && !PROFILE_TABS.includes(tab))) {
+    return null;
+  }
+  return /^[A-Za-z0-9_]{1,15}$/.test(name) && isValidUsername(name) ? name : null;
+}
+
+// Helper: Format a history location with its flag
+function formatProfileLocation(location) {
+  if (!location) return 'no location';
+  const flag = getCountryFlag(location);
+  return flag ? `${flag} ${location}` : location;
+}
+
+function createProfileHeaderItem(screenName) {
+  const item = document.createElement('span');
+  item.setAttribute('data-twitter-flag-profile', 'true');
+  item.dataset.screenName = screenName;
+  Object.assign(item.style, {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    marginRight: '12px',
+    color: 'inherit'
+  });
+  return item;
+}
+
+// Add or update the header item for the profile being shown (called on every scan and navigation)
+async function updateProfileHeader() {
+  const screenName = getProfilePageScreenName();
+  const headerItems = document.querySelector('[data-testid="UserProfileHeader_Items"]');
+  const existing = document.querySelector('[data-twitter-flag-profile]');
+
+  // X reuses the header element when navigating between profiles
+  if (existing && (existing.dataset.screenName !== screenName || !headerItems?.contains(existing))) {
+    existing.remove();
+  }
+  if (!screenName || !headerItems || headerItems.querySelector('[data-twitter-flag-profile]')) {
+    return;
+  }
+
+  const cached = locationCache.get(screenName);
+  if (cached && cached.expiry > Date.now()) {
+    renderProfileHeaderItem(headerItems, screenName, createLocationInfo(cached.location, cached));
+  } else if (lookupMode === LOOKUP_MODE_MANUAL || getLookupSkipReason(headerItems, screenName)) {
+    renderProfileLookupPrompt(headerItems, screenName);
+  } else {
+    await lookUpProfileHeader(screenName);
+  }
+}
+
+async function lookUpProfileHeader(screenName) {
+  if (profileHeaderLookup === screenName) return;
+  profileHeaderLookup = screenName;
+
+  let locationInfo;
+  try {
+    locationInfo = await getLocation(screenName);
+  } catch (error) {
+    console.error(`Error looking up profile header for ${screenName}:`, error);
+    return;
+  } finally {
+    profileHeaderLookup = null;
+  }
+
+  // The user may have navigated on while the request was queued
+  const headerItems = document.querySelector('[data-testid="UserProfileHeader_Items"]');
+  if (getProfilePageScreenName() !== screenName || !headerItems || headerItems.querySelector('[data-twitter-flag-profile]')) {
+    return;
+  }
+  renderProfileHeaderItem(headerItems, screenName, locationInfo);
+}
+
+function renderProfileHeaderItem(headerItems, screenName, locationInfo) {
+  const item = createProfileHeaderItem(screenName);
+
+  const value = document.createElement('span');
+  if (locationInfo?.location) {
+    value.textContent = `Based in ${locationInfo.flag ? `${locationInfo.flag} ` : ''}${locationInfo.location}`;
+  } else {
+    const indicator = LOOKUP_STATUS_INDICATORS[locationInfo?.status];
+    value.textContent = `Based in: ${indicator ? indicator.label.toLowerCase() : 'unknown'}`;
+  }
+  item.appendChild(value);
+
+  const cachedAt = locationCache.get(screenName)?.cachedAt;
+  const fetched = document.createElement('span');
+  fetched.textContent = `· fetched ${cachedAt ? new Date(cachedAt).toLocaleDateString() : 'just now'}`;
+  fetched.style.opacity = '0.7';
+  item.appendChild(fetched);
+
+  headerItems.appendChild(item);
+  addProfileLocationHistory(item, screenName);
+}
+
+// Manual mode and accounts skipped by lookup rules - look up on click like the "?" badge
+function renderProfileLookupPrompt(headerItems, screenName) {
+  const item = createProfileHeaderItem(screenName);
+  item.textContent = 'Based in:';
+
+  const button = document.createElement('span');
+  button.setAttribute('role', 'button');
+  button.textContent = 'look up';
+  Object.assign(button.style, { color: '#1d9bf0', cursor: 'pointer' });
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    item.remove();
+    lookUpProfileHeader(screenName);
+  });
+  item.appendChild(button);
+
+  headerItems.appendChild(item);
+}
+
+// Show the previous location, with every location and when it was seen in the tooltip
+async function addProfileLocationHistory(item, screenName) {
+  let history;
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getLocationHistory', username: screenName });
+    history = response?.history;
+  } catch (error) {
+    console.error(`Error loading location history for ${screenName}:`, error);
+    return;
+  }
+
+  const entries = history?.entries || [];
+  if (entries.length < 2 || !item.isConnected) return;
+
+  const previous = document.createElement('span');
+  previous.textContent = `· previously ${formatProfileLocation(entries[entries.length - 2].location)}`;
+  previous.title = entries.slice().reverse().map(entry =>
+    `${formatProfileLocation(entry.location)}: ${new Date(entry.firstSeen).toLocaleDateString()} – ${new Date(entry.lastSeen).toLocaleDateString()}`
+  ).join('\n');
+  Object.assign(previous.style, { opacity: '0.7', cursor: 'help', textDecoration: 'underline dotted' });
+  item.appendChild(previous);
+}
+
+// Redraw the header item after its account was refreshed
+function refreshProfileHeader(screenName) {
+  const existing = document.querySelector('[data-twitter-flag-profile]');
+  if (existing && existing.dataset.screenName === screenName) {
+    existing.remove();
+    updateProfileHeader();
+  }
+}
@@ -0,0 +1,123 @@
+// Tunable settings shared by the content script, background worker and options page
+// Persisted to chrome.storage.sync so they follow the user's Chrome profile
+const SETTINGS_KEY = 'settings';
+
+// Setting definitions: default value, allowed range and how the options page labels it
+const SETTING_DEFINITIONS = {
+  cacheExpiryDays: {
+    default: 30, min: 1, max: 365, unit: 'days',
+    label: 'Cache expiry',
+    description: 'How long a found location is kept before it is fetched again'
+  },
+  nullCacheExpiryDays: {
+    default: 1, min: 1, max: 30, unit: 'days',
+    label: 'Missing location expiry',
+    description: 'How long "no location" answers are kept before retrying'
+  },
+  notFoundExpiryDays: {
+    default: 3, min: 1, max: 90, unit: 'days',
+    label: 'Not found expiry',
+    description: 'How long accounts that do not exist are kept before retrying'
+  },
+  suspendedExpiryDays: {
+    default: 7, min: 1, max: 90, unit: 'days',
+    label: 'Suspended expiry',
+    description: 'How long suspended accounts are kept before retrying'
+  },
+  protectedExpiryDays: {
+    default: 7, min: 1, max: 90, unit: 'days',
+    label: 'Protected expiry',
+    description: 'How long protected accounts without a visible location are kept before retrying'
+  },
+  minRequestInterval: {
+    default: 3500, min: 1000, max: 60000, unit: 'ms',
+    label: 'Minimum request interval',
+    description: 'Time between two location requests across all tabs until X reports its rate limit budget, which sets the pace after that (a round trip of several waits that many intervals)'
+  },
+  requestBatchSize: {
+    default: 5, min: 1, max: 20, unit: 'accounts',
+    label: 'Lookups per round trip',
+    description: 'Queued accounts sent to a tab together; the tab starts their requests a moment apart'
+  },
+  maxQueueSize: {
+    default: 50, min: 1, max: 500, unit: 'requests',
+    label: 'Maximum queue size',
+    description: 'When full, the least important waiting request makes room (or a new one is dropped)'
+  },
+  baseBackoffMinutes: {
+    default: 5, min: 1, max: 120, unit: 'minutes',
+    label: 'Base backoff',
+    description: 'First wait after a rate limit; doubles on each consecutive limit'
+  },
+  requestTimeout: {
+    default: 10000, min: 2000, max: 60000, unit: 'ms',
+    label: 'Request timeout',
+    description: 'Give up on a single request after this long'
+  },
+  processThrottle: {
+    default: 3000, min: 250, max: 30000, unit: 'ms',
+    label: 'Page scan throttle',
+    description: 'Minimum time between scans of the page for new usernames'
+  },
+  batchDelay: {
+    default: 4000, min: 0, max: 60000, unit: 'ms',
+    label: 'Batch delay',
+    description: 'Pause between batches of lookups started from one page scan'
+  }
+};
+
+function getDefaultSettings() {
+  const defaults = {};
+  for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+    defaults[key] = definition.default;
+  }
+  return defaults;
+}
+
+// Returns an error message, or null if the value is valid
+function validateSetting(key, value) {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    return `Unknown setting: ${key}`;
+  }
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    return `${definition.label} must be a whole number`;
+  }
+  if (value < definition.min || value > definition.max) {
+    return `${definition.label} must be between ${definition.min} and ${definition.max} ${definition.unit}`;
+  }
+  return null;
+}
+
+// Fill in defaults for anything missing or invalid (e.g. values saved by an older version)
+function normalizeSettings(raw) {
+  const settings = getDefaultSettings();
+  if (!raw || typeof raw !== 'object') {
+    return settings;
+  }
+  for (const key of Object.keys(settings)) {
+    if (raw[key] !== undefined && validateSetting(key, raw[key]) === null) {
+      settings[key] = raw[key];
+    }
+  }
+  return settings;
+}
+
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.sync.get(SETTINGS_KEY);
+    return normalizeSettings(result[SETTINGS_KEY]);
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return getDefaultSettings();
+  }
+}
+
+// Call back with the full normalized settings whenever they change in any context
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[SETTINGS_KEY]) {
+      callback(normalizeSettings(changes[SETTINGS_KEY].newValue));
+    }
+  });
+}
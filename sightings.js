@@ -0,0 +1,78 @@
+// Sightings - when and where each account was seen, for the dashboard's trends and per-context breakdowns
+// Shared helpers are used by the background worker and dashboard; the rest runs in the content script
+// Stored in IndexedDB (see locationStore.js) as one record per account, context and local day
+
+// Where on X an account was seen, with the dashboard's label for each
+const SIGHTING_CONTEXTS = {
+  home: 'Home timeline',
+  replies: 'Replies',
+  search: 'Search',
+  lists: 'Lists',
+  profile: 'Profiles',
+  notifications: 'Notifications',
+  other: 'Other'
+};
+
+const SIGHTING_FLUSH_DELAY = 10000; // ms - sightings are sent to the background in batches
+
+// Local calendar day as 'YYYY-MM-DD' (sorts and compares as a string)
+function toDayKey(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Day key of the Monday starting the week that contains dayKey
+function toWeekKey(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return toDayKey(date.getTime());
+}
+
+function getSightingContext(pathname) {
+  if (pathname === '/home' || pathname === '/') return 'home';
+  if (/^\/[^/]+\/status\/\d+/.test(pathname)) return 'replies';
+  if (pathname.startsWith('/search') || pathname.startsWith('/hashtag/')) return 'search';
+  if (pathname.startsWith('/i/lists/') || /^\/[^/]+\/lists/.test(pathname)) return 'lists';
+  if (pathname.startsWith('/notifications')) return 'notifications';
+  if (/^\/[A-Za-z0-9_]{1,15}(\/(with_replies|media|likes|highlights|articles))?\/?$/.test(pathname)) return 'profile';
+  return 'other';
+}
+
+// Content script side - queue sightings and send each account/context/day to the background once per page load
+const recordedSightings = new Set();
+let pendingSightings = [];
+let sightingFlushTimeout = null;
+
+function recordSighting(screenName) {
+  const now = Date.now();
+  const day = toDayKey(now);
+  const context = getSightingContext(window.location.pathname);
+  const key = `${day}|${context}|${screenName}`;
+  if (recordedSightings.has(key)) return;
+
+  recordedSightings.add(key);
+  pendingSightings.push({ username: screenName, context, day, seenAt: now });
+  if (!sightingFlushTimeout) {
+    sightingFlushTimeout = setTimeout(flushSightings, SIGHTING_FLUSH_DELAY);
+  }
+}
+
+async function flushSightings() {
+  clearTimeout(sightingFlushTimeout);
+  sightingFlushTimeout = null;
+  if (pendingSightings.length === 0 || !chrome.runtime?.id) return;
+
+  const sightings = pendingSightings;
+  pendingSightings = [];
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'recordSightings', sightings });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    console.error('Error recording sightings:', error);
+  }
+}
@@ -0,0 +1,81 @@
+// Where the extension runs - per-site, per-route and per-tab switches plus a temporary pause
+// Loaded before content.js and by the popup and options page; the global on/off switch stays in extension_enabled
+const SITE_CONTROLS_KEY = 'site_controls'; // chrome.storage.local
+const DISABLED_TABS_KEY = 'disabled_tabs'; // chrome.storage.session - tab IDs, cleared when the browser closes
+const PAUSE_DURATION = 60 * 60 * 1000; // "Pause for 1 hour"
+
+const SITE_HOSTS = ['x.com', 'twitter.com'];
+
+// Offered on the options page; no route is disabled until the user picks one
+const SUGGESTED_DISABLED_ROUTES = ['/messages', '/settings', '/i/lists'];
+
+const DEFAULT_SITE_CONTROLS = {
+  disabledHosts: [], // Any of SITE_HOSTS
+  disabledRoutes: [], // Path prefixes, e.g. '/messages'
+  pausedUntil: null // Timestamp (ms) - enabled again automatically after this
+};
+
+function normalizeSiteControls(raw) {
+  const controls = { ...DEFAULT_SITE_CONTROLS };
+  if (!raw || typeof raw !== 'object') {
+    return controls;
+  }
+  if (Array.isArray(raw.disabledHosts)) {
+    controls.disabledHosts = raw.disabledHosts.filter(host => SITE_HOSTS.includes(host));
+  }
+  if (Array.isArray(raw.disabledRoutes)) {
+    controls.disabledRoutes = raw.disabledRoutes.filter(route => typeof route === 'string' && route.startsWith('/'));
+  }
+  if (Number.isFinite(raw.pausedUntil)) {
+    controls.pausedUntil = raw.pausedUntil;
+  }
+  return controls;
+}
+
+async function loadSiteControls() {
+  try {
+    const result = await chrome.storage.local.get(SITE_CONTROLS_KEY);
+    return normalizeSiteControls(result[SITE_CONTROLS_KEY]);
+  } catch (error) {
+    console.error('Error loading site controls:', error);
+    return { ...DEFAULT_SITE_CONTROLS };
+  }
+}
+
+async function saveSiteControls(controls) {
+  await chrome.storage.local.set({ [SITE_CONTROLS_KEY]: normalizeSiteControls(controls) });
+}
+
+function onSiteControlsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SITE_CONTROLS_KEY]) {
+      callback(normalizeSiteControls(changes[SITE_CONTROLS_KEY].newValue));
+    }
+  });
+}
+
+function isPaused(controls, now = Date.now()) {
+  return controls.pausedUntil !== null && controls.pausedUntil > now;
+}
+
+// '/messages' matches /messages and /messages/123, not /messagesfoo
+function isRouteDisabled(controls, pathname) {
+  return controls.disabledRoutes.some(route => {
+    const prefix = route.replace(/\/+$/, '');
+    return pathname === prefix || pathname.startsWith(`${prefix}/`);
+  });
+}
+
+function hostOf(hostname) {
+  return hostname.replace(/^(www|mobile)\./, '');
+}
+
+// Returns why the extension is off for this page, or null if it should run
+function getInactiveReason({ enabled, controls, tabDisabled, hostname, pathname, now = Date.now() }) {
+  if (!enabled) return 'disabled';
+  if (isPaused(controls, now)) return 'paused';
+  if (tabDisabled) return 'disabled in this tab';
+  if (controls.disabledHosts.includes(hostOf(hostname))) return `disabled on ${hostOf(hostname)}`;
+  if (isRouteDisabled(controls, pathname)) return 'disabled on this page';
+  return null;
+}
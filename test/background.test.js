@@ -0,0 +1,182 @@
+// The service worker's shared queue: de-duplication, priorities, pacing against X's budget, backoff,
+// retries and how long each kind of answer is cached
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, copy } = require('./helpers/background');
+const { waitFor } = require('./helpers/extension');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ANSWERS = {
+  located: { location: 'Japan', status: 'ok' },
+  nowhere: { location: null, status: 'no_location' },
+  missing: { location: null, status: 'not_found' },
+  banned: { location: null, status: 'suspended' },
+  locked: { location: null, status: 'protected' },
+  slow: { location: null, status: 'timeout' }
+};
+
+// Start a worker whose tab answers from ANSWERS (or from answer(screenName) when given)
+// and record every batch the tab was asked for
+function startWorker(t, { settings = {}, session, answer = screenName => ANSWERS[screenName], indexedDB } = {}) {
+  const batches = [];
+  const worker = loadBackground({
+    sync: { settings: { minRequestInterval: 1000, ...settings } },
+    session,
+    indexedDB,
+    fetchLocations(screenNames) {
+      batches.push(screenNames);
+      return screenNames.map(screenName => ({ isRateLimited: false, ...answer(screenName) }));
+    }
+  });
+  t.after(() => worker.close());
+  return { worker, batches };
+}
+
+// Helper: Rate limit state as the worker saves it, with a budget of `remaining` requests resetting in resetIn seconds
+function budgetState(remaining, resetIn) {
+  return {
+    rate_limit_state: {
+      resetTime: 0,
+      consecutiveRateLimits: 0,
+      budget: { limit: 50, remaining, reset: Math.floor(Date.now() / 1000) + resetIn }
+    }
+  };
+}
+
+test('lookups for the same account from two tabs share one request, and the next one comes from the store', async (t) => {
+  const { worker, batches } = startWorker(t);
+
+  const [first, second] = copy(await worker.run(`Promise.all([
+    lookupLocation('located', 1, { requester: 'tab:1' }),
+    lookupLocation('located', 2, { requester: 'tab:2' })
+  ])`));
+  const third = await worker.sendMessage({ type: 'getLocation', screenName: 'located' });
+
+  assert.deepEqual(batches, [['located']]);
+  assert.equal(first.location, 'Japan');
+  assert.deepEqual(second, first);
+  assert.deepEqual(third, first);
+  assert.equal(worker.run('queueCounters.cacheHits'), 1);
+});
+
+test('each kind of answer is cached for its own setting, and transient failures are not cached', async (t) => {
+  const settings = { requestBatchSize: 10, cacheExpiryDays: 30, nullCacheExpiryDays: 2, notFoundExpiryDays: 3, suspendedExpiryDays: 4, protectedExpiryDays: 5 };
+  const { worker, batches } = startWorker(t, { settings });
+  const screenNames = Object.keys(ANSWERS);
+
+  await worker.run(`Promise.all(${JSON.stringify(screenNames)}.map(screenName => lookupLocation(screenName, 1)))`);
+
+  assert.deepEqual(batches, [screenNames]);
+  const days = { located: 30, nowhere: 2, missing: 3, banned: 4, locked: 5 };
+  for (const [screenName, expected] of Object.entries(days)) {
+    const entry = await worker.run(`getCacheEntry('${screenName}')`);
+    assert.equal(entry.status, ANSWERS[screenName].status, screenName);
+    assert.equal(entry.expiry - entry.cachedAt, expected * DAY, screenName);
+  }
+  assert.equal(await worker.run(`getCacheEntry('slow')`), null);
+});
+
+test('a 429 backs off and fails queued lookups, and each 429 in a row doubles the wait until a request succeeds', async (t) => {
+  let limited = true;
+  const { worker } = startWorker(t, {
+    settings: { baseBackoffMinutes: 5 },
+    answer: screenName => limited ? { location: null, status: null, isRateLimited: true, rateLimitReset: 0 } : ANSWERS[screenName]
+  });
+  const waitSeconds = () => worker.run('rateLimitResetTime') - Math.floor(Date.now() / 1000);
+
+  const result = copy(await worker.run(`lookupLocation('located', 1)`));
+  assert.equal(result.isRateLimited, true);
+  assert.equal(worker.run('consecutiveRateLimits'), 1);
+  assert.ok(Math.abs(waitSeconds() - 5 * 60) <= 1);
+  await assert.rejects(worker.run(`lookupLocation('nowhere', 1)`), /Rate limited/);
+
+  // The wait runs out and the next request is limited again
+  worker.run('rateLimitResetTime = Math.floor(Date.now() / 1000) - 1');
+  await worker.run(`lookupLocation('located', 1)`);
+  assert.equal(worker.run('consecutiveRateLimits'), 2);
+  assert.ok(Math.abs(waitSeconds() - 10 * 60) <= 1);
+  assert.equal(worker.chrome.storage.session.items.rate_limit_state.consecutiveRateLimits, 2);
+
+  worker.run('rateLimitResetTime = Math.floor(Date.now() / 1000) - 1');
+  limited = false;
+  assert.equal(copy(await worker.run(`lookupLocation('located', 1)`)).location, 'Japan');
+  assert.equal(worker.run('consecutiveRateLimits'), 0);
+});
+
+test('a spent budget holds the queue until it resets instead of failing lookups', async (t) => {
+  const { worker, batches } = startWorker(t, { session: budgetState(2, 2) });
+
+  const lookup = worker.run(`lookupLocation('located', 1)`);
+  await waitFor(() => worker.chrome.storage.session.items.queue_status?.state === 'budget_wait');
+  assert.deepEqual(batches, []);
+  assert.equal(worker.run('requestQueue.length'), 1);
+
+  assert.equal(copy(await lookup).location, 'Japan');
+  assert.deepEqual(batches, [['located']]);
+  assert.equal(worker.run('consecutiveRateLimits'), 0);
+});
+
+test('a full queue evicts its least important lookup, and drops a new one that is less important than all', async (t) => {
+  // Hold the queue on a spent budget so lookups stay in it
+  const { worker } = startWorker(t, { settings: { maxQueueSize: 2 }, session: budgetState(2, 900) });
+  const queued = () => worker.run('requestQueue.map(item => item.screenName)').join(',');
+
+  const prefetched = worker.run(`lookupLocation('nowhere', 1, { priority: 'prefetch' })`);
+  await waitFor(() => queued() === 'nowhere');
+  worker.run(`lookupLocation('located', 1, { priority: 'visible' })`);
+  await waitFor(() => queued() === 'nowhere,located');
+
+  worker.run(`lookupLocation('missing', 1, { priority: 'hovered' })`);
+  await assert.rejects(prefetched, /Evicted/);
+  assert.equal(queued(), 'located,missing');
+
+  await assert.rejects(worker.run(`lookupLocation('banned', 1, { priority: 'prefetch' })`), /Queue full/);
+  assert.equal(queued(), 'located,missing');
+});
+
+test('a transient failure is retried from session storage by an alarm, even after the worker was suspended', async (t) => {
+  let answer = { location: null, status: 'timeout' };
+  const { worker, batches } = startWorker(t, { answer: () => answer });
+
+  const failed = copy(await worker.run(`lookupLocation('located', 1)`));
+  assert.deepEqual(failed, { location: null, status: 'timeout', transient: true });
+  const saved = worker.chrome.storage.session.items.retry_queue;
+  assert.deepEqual(Object.keys(saved), ['located']);
+  assert.equal(saved.located.attempts, 1);
+  assert.equal(worker.alarms.get('retry-queue'), saved.located.nextAttempt);
+  assert.ok(Math.abs(saved.located.nextAttempt - Date.now() - 60 * 1000) < 1000);
+
+  // Until the retry is due, asking again answers from the retry queue without a request
+  assert.deepEqual(copy(await worker.run(`lookupLocation('located', 1)`)), failed);
+  assert.equal(batches.length, 1);
+
+  // A new worker picks the retry up from session storage when the alarm wakes it
+  worker.close();
+  const session = { retry_queue: { located: { ...saved.located, nextAttempt: Date.now() - 1 } } };
+  const { worker: restarted, batches: retried } = startWorker(t, { session, indexedDB: worker.indexedDB, answer: () => answer });
+  answer = ANSWERS.located;
+  await restarted.run('retryQueueReady');
+  restarted.fireAlarm('retry-queue');
+
+  await waitFor(() => restarted.tabMessages.some(message => message.type === 'locationResolved'));
+  assert.deepEqual(retried, [['located']]);
+  assert.equal((await restarted.run(`getCacheEntry('located')`)).location, 'Japan');
+  assert.deepEqual(copy(restarted.chrome.storage.session.items.retry_queue), {});
+  assert.equal(restarted.alarms.has('retry-queue'), false);
+});
+
+test('imported entries are not dated in the future or kept longer than their status allows', async (t) => {
+  const { worker } = startWorker(t, { settings: { cacheExpiryDays: 30 } });
+  const now = Date.now();
+
+  const { counts } = await worker.sendMessage({
+    type: 'importCache',
+    entries: [{ username: 'located', location: 'Japan', status: 'ok', cachedAt: now + 365 * DAY, expiry: now + 3650 * DAY }],
+    strategy: 'newer'
+  });
+
+  assert.equal(counts.added, 1);
+  const entry = await worker.run(`getCacheEntry('located')`);
+  assert.ok(entry.cachedAt <= Date.now());
+  assert.equal(entry.expiry, entry.cachedAt + 30 * DAY);
+});
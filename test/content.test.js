@@ -0,0 +1,146 @@
+// DOM fixtures for finding usernames on X's markup and placing flags next to them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, readFixture, placeOnScreen } = require('./helpers/extension');
+
+// The extension is switched off so content.js doesn't scan the page by itself
+async function loadPage(t, html, background) {
+  const page = loadExtension({ html, local: { extension_enabled: false }, background });
+  t.after(() => page.close());
+  await page.ready();
+  return page;
+}
+
+test('isValidUsername accepts handles and rejects X routes', async (t) => {
+  const page = await loadPage(t, '');
+  const isValidUsername = page.run('isValidUsername');
+
+  for (const name of ['jack', 'Some_User', 'a1']) {
+    assert.equal(isValidUsername(name), true, name);
+  }
+  for (const name of ['', null, 'home', 'explore', 'i', 'hashtag', 'search?q=x', '12345', 'jack/status', 'a'.repeat(20)]) {
+    assert.equal(isValidUsername(name), false, String(name));
+  }
+});
+
+// Each fixture marks its tweets and user cells with the account they belong to (empty for none)
+for (const fixture of ['timeline', 'profile', 'replies', 'list']) {
+  test(`extractUsername finds each author on the ${fixture} fixture`, async (t) => {
+    const page = await loadPage(t, readFixture(fixture));
+    const extractUsername = page.run('extractUsername');
+
+    for (const container of page.document.querySelectorAll('[data-expect]')) {
+      assert.equal(extractUsername(container), container.dataset.expect || null, container.dataset.expect);
+    }
+  });
+}
+
+test('insertFlagElement puts the flag just before the handle', async (t) => {
+  const page = await loadPage(t, readFixture('timeline'));
+  const container = page.document.querySelector('[data-expect="jack"] [data-testid="User-Name"]');
+  const flag = page.document.createElement('span');
+
+  assert.equal(page.run('insertFlagElement')(container, flag, 'jack'), true);
+  assert.equal(flag.parentNode, container);
+  assert.equal(flag.nextElementSibling.textContent.trim().startsWith('@jack'), true);
+});
+
+test('insertFlagElement appends the flag when there is no handle or link', async (t) => {
+  const page = await loadPage(t, '<div data-testid="User-Name" id="bare"><span>Name only</span></div>');
+  const container = page.document.getElementById('bare');
+  const flag = page.document.createElement('span');
+
+  assert.equal(page.run('insertFlagElement')(container, flag, 'ghost'), true);
+  assert.equal(container.lastElementChild, flag);
+});
+
+test('processVisibleUsernames flags cached and looked-up accounts and leaves off-screen ones for later', async (t) => {
+  const expiry = Date.now() + 60 * 60 * 1000;
+  const page = await loadPage(t, readFixture('replies'), (message) => {
+    switch (message.type) {
+      case 'getCacheEntries': return { entries: { thread_starter: { location: 'Japan', status: 'ok', expiry } } };
+      case 'getLocation': return { location: 'Brazil', status: 'ok', expiry };
+      default: return {};
+    }
+  });
+  const tweets = Array.from(page.document.querySelectorAll('article[data-testid="tweet"]'));
+  placeOnScreen(tweets[0]);
+  placeOnScreen(tweets[1]);
+  placeOnScreen(tweets[2], false);
+
+  await page.run('processVisibleUsernames')(tweets);
+
+  const flagOf = tweet => tweet.querySelector('[data-twitter-flag]');
+  assert.equal(flagOf(tweets[0])?.dataset.screenName, 'thread_starter');
+  assert.equal(flagOf(tweets[1])?.dataset.screenName, 'first_reply');
+  assert.equal(flagOf(tweets[2]), null);
+  assert.equal(tweets[2].dataset.flagNeedsApi, 'true');
+
+  // One cache query for the whole scan, and a lookup only for the visible account that wasn't cached
+  const cacheQueries = page.sentMessages.filter(message => message.type === 'getCacheEntries');
+  assert.deepEqual(cacheQueries.map(message => [...message.usernames].sort()), [['first_reply', 'second_reply', 'thread_starter']]);
+  assert.deepEqual(page.sentMessages.filter(message => message.type === 'getLocation').map(message => message.screenName), ['first_reply']);
+});
+
+test('refreshLocation keeps the cached flag when the refresh is rate limited, and redraws it on a new answer', async (t) => {
+  const expiry = Date.now() + 60 * 60 * 1000;
+  const answers = [
+    { location: null, status: null, isRateLimited: true },
+    { location: null, status: 'timeout', transient: true },
+    { location: 'Brazil', status: 'ok', expiry }
+  ];
+  const page = await loadPage(t, readFixture('timeline'), (message) => {
+    switch (message.type) {
+      case 'getCacheEntries': return { entries: { jack: { location: 'Japan', status: 'ok', expiry } } };
+      case 'getLocation': return answers.shift();
+      default: return {};
+    }
+  });
+  const tweet = page.document.querySelector('[data-expect="jack"]');
+  placeOnScreen(tweet);
+  await page.run('processVisibleUsernames')([tweet]);
+  const flagText = () => tweet.querySelector('[data-twitter-flag]')?.textContent.trim();
+  const japan = flagText();
+  assert.ok(japan);
+
+  assert.equal(await page.run('refreshLocation')('jack'), null);
+  assert.equal(await page.run('refreshLocation')('jack'), null);
+  assert.equal(flagText(), japan);
+  assert.equal(page.run('locationCache').get('jack').location, 'Japan');
+
+  assert.equal((await page.run('refreshLocation')('jack')).location, 'Brazil');
+  assert.notEqual(flagText(), japan);
+  assert.equal(flagText(), page.run('getCountryInfo')('Brazil').flag);
+});
+
+test('rescanning an account with no location counts its cache hit once', async (t) => {
+  const expiry = Date.now() + 60 * 60 * 1000;
+  const page = await loadPage(t, readFixture('timeline'), (message) => {
+    switch (message.type) {
+      case 'getCacheEntries': return { entries: { jack: { location: null, status: 'no_location', expiry } } };
+      default: return {};
+    }
+  });
+  const tweet = page.document.querySelector('[data-expect="jack"]');
+  placeOnScreen(tweet);
+
+  for (let scan = 0; scan < 5; scan++) {
+    await page.run('processVisibleUsernames')([tweet]);
+  }
+  page.run('flushCacheHits()');
+
+  assert.equal(tweet.dataset.flagAdded, 'status');
+  assert.ok(tweet.querySelector('[data-twitter-flag-status="no_location"]'));
+  assert.deepEqual(page.sentMessages.filter(message => message.type === 'recordCacheHits').map(message => message.count), [1]);
+  assert.equal(page.sentMessages.filter(message => message.type === 'getLocation').length, 0);
+});
+
+test('the refresh shortcut does nothing while flags are off', async (t) => {
+  const page = await loadPage(t, readFixture('timeline'));
+  placeOnScreen(page.document.querySelector('[data-expect="jack"]'));
+
+  page.sendToTab({ type: 'refreshVisible' });
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.deepEqual(page.sentMessages.filter(message => message.type === 'getLocation'), []);
+});
@@ -0,0 +1,144 @@
+// Loads the service worker (and the scripts it imports) into a VM context with a stubbed chrome API,
+// an in-memory IndexedDB and one fake x.com tab that answers the worker's lookup batches
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createStorageArea } = require('./extension');
+
+const ROOT = path.join(__dirname, '..', '..');
+const TAB_ID = 1;
+
+// Helper: Registry for a chrome.*.onSomething event
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener)
+  };
+}
+
+// Helper: Copy a value out of the worker's context, so it compares equal to values made in the tests
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// The fake tab answers every account with no location, like X does for an account that doesn't show one
+function defaultFetchLocations(screenNames) {
+  return screenNames.map(() => ({ location: null, status: 'no_location', isRateLimited: false }));
+}
+
+// Start a worker
+// sync/session: initial storage (session carries state "from before the worker was suspended");
+// fetchLocations(screenNames): the tab's answers, one result per account like the page script's;
+// indexedDB: a store to share with an earlier worker (a fresh one by default)
+function loadBackground({ sync = {}, session = {}, fetchLocations = defaultFetchLocations, indexedDB = new IDBFactory() } = {}) {
+  const timers = new Set();
+  let closed = false;
+  const tabMessages = [];
+  const alarms = new Map();
+  const onMessage = createEvent();
+  const onAlarm = createEvent();
+
+  const chrome = {
+    storage: {
+      local: createStorageArea(),
+      sync: createStorageArea(sync),
+      session: createStorageArea(session),
+      onChanged: createEvent()
+    },
+    runtime: {
+      id: 'test-extension',
+      onInstalled: createEvent(),
+      onMessage,
+      sendMessage: async () => {}
+    },
+    tabs: {
+      async query() {
+        return [{ id: TAB_ID, url: 'https://x.com/home' }];
+      },
+      async sendMessage(tabId, message) {
+        tabMessages.push(copy(message));
+        if (message.type === 'fetchLocations') {
+          return { results: await fetchLocations([...message.screenNames]) };
+        }
+        return undefined;
+      },
+      onRemoved: createEvent()
+    },
+    action: {
+      setBadgeText() {},
+      setBadgeBackgroundColor() {}
+    },
+    alarms: {
+      async create(name, info) {
+        alarms.set(name, info.when);
+      },
+      async clear(name) {
+        return alarms.delete(name);
+      },
+      onAlarm
+    },
+    contextMenus: {
+      removeAll() {},
+      create() {},
+      onClicked: createEvent()
+    },
+    commands: { onCommand: createEvent() }
+  };
+
+  // Timers are tracked so close() can stop the ones still waiting (backoffs, budget holds, stats updates)
+  // and refuse new ones from lookups that settle afterwards
+  const context = vm.createContext({
+    chrome,
+    indexedDB,
+    IDBKeyRange,
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout(callback, delay, ...args) {
+      if (closed) return null;
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        callback(...args);
+      }, delay);
+      timers.add(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      timers.delete(timer);
+      clearTimeout(timer);
+    }
+  });
+  const runFile = file => new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: path.join(ROOT, file) }).runInContext(context);
+  context.importScripts = (...files) => files.forEach(runFile);
+  runFile('background.js');
+
+  return {
+    chrome,
+    indexedDB,
+    alarms,
+    tabMessages,
+    // Evaluate an expression against the worker's globals
+    run: source => new vm.Script(source).runInContext(context),
+    // Send a message the way a content script in the fake tab would, and resolve with the worker's answer
+    // (only for the messages the worker answers)
+    sendMessage(message) {
+      return new Promise(resolve => {
+        for (const listener of onMessage.listeners) {
+          listener(message, { tab: { id: TAB_ID } }, response => resolve(copy(response)));
+        }
+      });
+    },
+    // Fire an alarm the worker set
+    fireAlarm(name) {
+      alarms.delete(name);
+      onAlarm.listeners.forEach(listener => listener({ name }));
+    },
+    close() {
+      closed = true;
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+}
+
+module.exports = { loadBackground, copy };
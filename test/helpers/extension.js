@@ -0,0 +1,164 @@
+// Loads the content scripts into a jsdom window, in manifest order, with a stubbed chrome API
+// Page script and content scripts share the one window here; the MessageChannel handshake still runs
+// through window.postMessage, which jsdom can't transfer ports with, so it is replaced below
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { MessageChannel, MessagePort } = require('node:worker_threads');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+const CONTENT_SCRIPTS = manifest.content_scripts.flatMap(entry => entry.js);
+
+// Helper: chrome.storage area backed by a plain object (promise form only, like the content scripts use)
+function createStorageArea(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    async get(keys) {
+      if (keys === null || keys === undefined) return { ...items };
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      for (const name of names) {
+        if (Object.hasOwn(items, name)) result[name] = items[name];
+        else if (Object.hasOwn(defaults, name)) result[name] = defaults[name];
+      }
+      return result;
+    },
+    async set(values) {
+      Object.assign(items, values);
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete items[key]);
+    }
+  };
+}
+
+// Answers the background would give a tab when nothing is cached
+function defaultBackground(message) {
+  switch (message.type) {
+    case 'getCacheEntries': return { entries: {} };
+    default: return {};
+  }
+}
+
+// Helper: Markup of a saved page in test/fixtures
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+}
+
+// Create a window with the content scripts loaded
+// html: body markup; local/sync: initial storage; background(message): answers chrome.runtime.sendMessage;
+// serverUrl: where https://x.com/ requests go (window.fetch rejects them when not set)
+function loadExtension({ html = '', local = {}, sync = {}, background = defaultBackground, serverUrl = null } = {}) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => console.error(error));
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`, {
+    url: 'https://x.com/home',
+    runScripts: 'outside-only',
+    virtualConsole
+  });
+  const { window } = dom;
+
+  const sentMessages = [];
+  const messageListeners = [];
+  window.chrome = {
+    storage: {
+      local: createStorageArea(local),
+      sync: createStorageArea(sync),
+      session: createStorageArea(),
+      onChanged: { addListener() {} }
+    },
+    runtime: {
+      id: 'test-extension',
+      getURL: file => `chrome-extension://test-extension/${file}`,
+      async sendMessage(message) {
+        sentMessages.push(message);
+        return background(message);
+      },
+      onMessage: { addListener: listener => messageListeners.push(listener) }
+    }
+  };
+
+  // Browser APIs jsdom doesn't have
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  // Node's channel, fetch and their prototypes, since the page script saves methods from those prototypes
+  window.MessageChannel = MessageChannel;
+  window.MessagePort = MessagePort;
+  window.MessageEvent = MessageEvent;
+  window.Response = Response;
+  window.Headers = Headers;
+  window.postMessage = (data, targetOrigin, transfer = []) => {
+    window.setTimeout(() => {
+      const event = new window.Event('message');
+      Object.defineProperties(event, {
+        data: { value: data },
+        origin: { value: window.location.origin },
+        source: { value: window },
+        ports: { value: transfer }
+      });
+      window.dispatchEvent(event);
+    });
+  };
+  window.fetch = async (url, options = {}) => {
+    if (!serverUrl || !String(url).startsWith('https://x.com/')) {
+      throw new TypeError(`Failed to fetch ${url}`);
+    }
+    return fetch(String(url).replace('https://x.com/', serverUrl), { method: options.method, headers: options.headers });
+  };
+
+  // Each file runs as its own classic script, so top-level const/let are shared like in the browser
+  const context = dom.getInternalVMContext();
+  const run = (source, filename) => new vm.Script(source, { filename }).runInContext(context);
+  for (const file of CONTENT_SCRIPTS) {
+    run(fs.readFileSync(path.join(ROOT, file), 'utf8'), path.join(ROOT, file));
+  }
+
+  return {
+    window,
+    document: window.document,
+    sentMessages,
+    // Evaluate an expression against the content scripts' globals
+    run,
+    // Deliver a message from the background (or popup) to the content scripts' listeners
+    sendToTab(message) {
+      messageListeners.forEach(listener => listener(message, { id: 'test-extension' }, () => {}));
+    },
+    // Resolve once the page script has answered over the channel and content.js has loaded its state
+    // (init only waits on the stubs, so one task after that is enough)
+    async ready() {
+      await waitFor(() => run('pageChannelReady'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+    },
+    close() {
+      run('pagePort.close()');
+      window.close();
+    }
+  };
+}
+
+// Helper: Resolve once check() returns something truthy, or reject after timeout ms
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Helper: Make an element report a place in the viewport (jsdom has no layout, so everything is 0x0)
+function placeOnScreen(element, visible = true) {
+  const top = visible ? 100 : 5000;
+  element.getBoundingClientRect = () => ({ top, bottom: top + 40, left: 0, right: 600, width: 600, height: 40 });
+}
+
+module.exports = { loadExtension, readFixture, waitFor, placeOnScreen, createStorageArea };
@@ -0,0 +1,176 @@
+// Lookups through the page script against a stub of X's AboutAccountQuery endpoint
+// The content script's makeLocationRequests sends the batch over the private channel and collects the answers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { loadExtension } = require('./helpers/extension');
+
+const RATE_LIMIT_RESET = Math.floor(Date.now() / 1000) + 15 * 60;
+
+// Helper: AboutAccountQuery body for one user result
+function userResult(screenName, aboutProfile) {
+  return {
+    data: {
+      user_result_by_screen_name: {
+        result: { __typename: 'User', core: { screen_name: screenName, name: `Name ${screenName}` }, about_profile: aboutProfile }
+      }
+    }
+  };
+}
+
+// Answers by screen name; the one called "slow" never gets an answer
+function handleRequest(request, response, seen) {
+  const url = new URL(request.url, 'http://stub');
+  if (!url.pathname.endsWith('/AboutAccountQuery')) {
+    response.writeHead(200, { 'content-type': 'application/json' });
+    response.end('{}');
+    return;
+  }
+
+  const { screenName } = JSON.parse(url.searchParams.get('variables'));
+  seen.push({ screenName, authorization: request.headers.authorization });
+  const rateLimitHeaders = { 'x-rate-limit-limit': '50', 'x-rate-limit-remaining': '49', 'x-rate-limit-reset': String(RATE_LIMIT_RESET) };
+  switch (screenName) {
+    case 'located':
+      response.writeHead(200, { 'content-type': 'application/json', ...rateLimitHeaders });
+      response.end(JSON.stringify(userResult(screenName, { account_based_in: 'Japan', source: 'App Store' })));
+      break;
+    case 'nowhere':
+      response.writeHead(200, { 'content-type': 'application/json', ...rateLimitHeaders });
+      response.end(JSON.stringify(userResult(screenName, {})));
+      break;
+    case 'limited':
+      response.writeHead(429, { ...rateLimitHeaders, 'x-rate-limit-remaining': '0' });
+      response.end();
+      break;
+    case 'slow':
+      break;
+    default:
+      response.writeHead(404);
+      response.end();
+  }
+}
+
+// Start the stub server and a page whose GraphQL calls go to it, with X's own headers already captured
+async function startPage(t, settings = {}) {
+  const seen = [];
+  const server = http.createServer((request, response) => handleRequest(request, response, seen));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const page = loadExtension({
+    local: { extension_enabled: false },
+    sync: { settings },
+    serverUrl: `http://127.0.0.1:${server.address().port}/`
+  });
+  t.after(() => page.close());
+  await page.ready();
+  page.run('connectPageScript()');
+  await page.run(`fetch('https://x.com/i/api/graphql/abc/HomeTimeline', { headers: { authorization: 'Bearer test' } })`);
+  return { page, seen };
+}
+
+test('an account with a location comes back ok, with X\'s captured headers sent along', async (t) => {
+  const { page, seen } = await startPage(t);
+
+  const [result] = await page.run(`makeLocationRequests(['located'])`);
+
+  assert.equal(result.status, 'ok');
+  assert.equal(result.location, 'Japan');
+  assert.equal(result.aboutProfile.source, 'App Store');
+  assert.equal(result.accountInfo.name, 'Name located');
+  assert.equal(result.isRateLimited, false);
+  assert.deepEqual(seen, [{ screenName: 'located', authorization: 'Bearer test' }]);
+});
+
+test('an account without a location comes back no_location', async (t) => {
+  const { page } = await startPage(t);
+
+  const [result] = await page.run(`makeLocationRequests(['nowhere'])`);
+
+  assert.equal(result.status, 'no_location');
+  assert.equal(result.location, null);
+  assert.equal(result.isRateLimited, false);
+});
+
+test('a 429 reports the reset time and stops the rest of the batch', async (t) => {
+  const { page, seen } = await startPage(t);
+
+  const results = await page.run(`makeLocationRequests(['limited', 'located'])`);
+
+  for (const result of results) {
+    assert.equal(result.isRateLimited, true);
+    assert.equal(result.rateLimitReset, RATE_LIMIT_RESET);
+    assert.equal(result.location, null);
+    assert.equal(result.status, null);
+  }
+  assert.deepEqual(seen.map(request => request.screenName), ['limited']);
+});
+
+test('an account with no answer times out without holding up the rest of its batch', async (t) => {
+  const { page } = await startPage(t, { requestTimeout: 2000 });
+
+  const started = Date.now();
+  const [slow, located] = await page.run(`makeLocationRequests(['slow', 'located'])`);
+
+  assert.equal(slow.status, 'timeout');
+  assert.equal(slow.location, null);
+  assert.equal(located.status, 'ok');
+  // requestTimeout plus one batch spacing for the second request
+  assert.ok(Date.now() - started < 2000 + page.run('PAGE_BATCH_SPACING') + 1000);
+});
+
+test('lookup requests posted to the window by the page are ignored', async (t) => {
+  const { page, seen } = await startPage(t);
+
+  page.window.postMessage({ type: '__fetchLocation', screenName: 'located', requestId: 1 }, '*');
+  page.window.postMessage({ type: '__fetchLocations', screenNames: ['located'], requestId: 2, spacing: 0 }, '*');
+  await new Promise(resolve => setTimeout(resolve, 300));
+
+  assert.deepEqual(seen, []);
+});
+
+test('a second channel handshake from the page gets nothing and lookups keep working', async (t) => {
+  const { page } = await startPage(t);
+  const { port1, port2 } = new page.window.MessageChannel();
+  t.after(() => port1.close());
+  const received = [];
+  port1.onmessage = event => received.push(event.data);
+
+  page.window.postMessage({ type: '__flagChannelInit' }, '*', [port2]);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const [result] = await page.run(`makeLocationRequests(['located'])`);
+
+  assert.deepEqual(received, []);
+  assert.equal(result.status, 'ok');
+});
+
+test('page scripts that replace built-ins later get neither the port nor a say in the answers', async (t) => {
+  const { page } = await startPage(t);
+  // The window shares Node's prototypes here, so put them back afterwards
+  const originals = [
+    [MessagePort.prototype, 'postMessage', MessagePort.prototype.postMessage],
+    [Response.prototype, 'json', Response.prototype.json],
+    [Headers.prototype, 'get', Headers.prototype.get]
+  ];
+  t.after(() => originals.forEach(([prototype, name, original]) => { prototype[name] = original; }));
+  page.run(`
+    window.stolenPorts = [];
+    const originalPostMessage = MessagePort.prototype.postMessage;
+    MessagePort.prototype.postMessage = function(message, ...rest) {
+      if (message?.type === '__locationResponse') stolenPorts.push(this);
+      return originalPostMessage.call(this, message, ...rest);
+    };
+    Response.prototype.json = async () => ({ data: { user_result_by_screen_name: { result: { about_profile: { account_based_in: 'Made Up' } } } } });
+    Headers.prototype.get = () => '999';
+  `);
+
+  const [result] = await page.run(`makeLocationRequests(['located'])`);
+
+  assert.equal(page.run('stolenPorts.length'), 0);
+  assert.equal(result.location, 'Japan');
+  assert.deepEqual(result.rateLimit, { limit: 50, remaining: 49, reset: RATE_LIMIT_RESET });
+});
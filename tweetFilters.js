@@ -0,0 +1,124 @@
+// Tweet filter rules - hide, collapse or highlight tweets by their author's country
+// Loaded before content.js; rules are edited in the popup and stored in chrome.storage.local
+const FILTER_RULES_KEY = 'filter_rules';
+
+// Rule: { id, action: 'hide'|'collapse'|'highlight', match: 'in'|'not_in'|'unknown', countries: [code|region name] }
+// The first matching rule wins
+let filterRules = [];
+
+async function loadFilterRules() {
+  try {
+    const result = await chrome.storage.local.get(FILTER_RULES_KEY);
+    filterRules = Array.isArray(result[FILTER_RULES_KEY]) ? result[FILTER_RULES_KEY] : [];
+    console.log(`Loaded ${filterRules.length} filter rule${filterRules.length !== 1 ? 's' : ''}`);
+  } catch (error) {
+    console.error('Error loading filter rules:', error);
+    filterRules = [];
+  }
+}
+
+// Re-apply to every tweet on the page when rules change in the popup
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[FILTER_RULES_KEY]) {
+    filterRules = Array.isArray(changes[FILTER_RULES_KEY].newValue) ? changes[FILTER_RULES_KEY].newValue : [];
+    reapplyFilterRules();
+  }
+});
+
+// Helper: Key a location the same way rules store countries (ISO code, or region name if it has none)
+function getFilterKey(location) {
+  const info = getCountryInfo(location);
+  return info?.code || info?.name || location;
+}
+
+function findMatchingRule(location) {
+  const key = location ? getFilterKey(location) : null;
+  return filterRules.find(rule => {
+    if (rule.match === 'unknown') return location === null;
+    if (location === null) return false;
+    const listed = (rule.countries || []).includes(key);
+    return rule.match === 'in' ? listed : !listed;
+  }) || null;
+}
+
+// Undo whatever a previous rule did to this tweet
+function clearFilter(article) {
+  if (!article.dataset.filterAction) return;
+
+  const bar = article.previousElementSibling;
+  if (bar?.hasAttribute('data-twitter-flag-filter-bar')) {
+    bar.remove();
+  }
+  article.style.display = '';
+  article.style.boxShadow = '';
+  article.style.backgroundColor = '';
+  delete article.dataset.filterAction;
+}
+
+// Collapse a tweet behind a click-to-reveal bar
+function collapseTweet(article, screenName, location) {
+  const bar = document.createElement('div');
+  bar.setAttribute('data-twitter-flag-filter-bar', 'true');
+  const flag = location ? getCountryFlag(location) : null;
+  const where = location ? `${flag ? `${flag} ` : ''}${location}` : 'no location';
+  bar.textContent = `Tweet from @${screenName} (${where}) collapsed by your filter · Show`;
+  Object.assign(bar.style, {
+    padding: '12px 16px',
+    color: '#536471',
+    fontSize: '13px',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    borderBottom: '1px solid rgba(83, 100, 113, 0.3)',
+    cursor: 'pointer'
+  });
+  bar.addEventListener('click', (event) => {
+    event.stopPropagation();
+    bar.remove();
+    article.style.display = '';
+    // Stay revealed even when rules are re-applied
+    article.dataset.filterRevealed = 'true';
+  });
+
+  article.parentNode.insertBefore(bar, article);
+  article.style.display = 'none';
+}
+
+// Apply the first matching rule to a tweet once its author's location is known
+// Only whole tweets are filtered - nested User-Name containers (e.g. quoted tweets) are skipped
+function applyFilterRules(container, screenName, locationInfo) {
+  if (!container.matches('article[data-testid="tweet"]')) return;
+
+  clearFilter(container);
+  const location = locationInfo?.location || null;
+  const rule = findMatchingRule(location);
+  if (!rule) return;
+
+  if (rule.action === 'hide') {
+    container.style.display = 'none';
+  } else if (rule.action === 'collapse') {
+    if (container.dataset.filterRevealed === 'true') return;
+    collapseTweet(container, screenName, location);
+  } else if (rule.action === 'highlight') {
+    container.style.boxShadow = 'inset 3px 0 0 #f91880';
+    container.style.backgroundColor = 'rgba(249, 24, 128, 0.06)';
+  }
+  container.dataset.filterAction = rule.action;
+}
+
+// Re-run rules over tweets whose author's location is already cached
+function reapplyFilterRules() {
+  if (!extensionEnabled) return;
+
+  document.querySelectorAll('article[data-testid="tweet"]').forEach(article => {
+    const screenName = extractUsername(article);
+    const cached = screenName ? locationCache.get(screenName) : null;
+    if (cached && cached.expiry > Date.now()) {
+      applyFilterRules(article, screenName, createLocationInfo(cached.location, cached));
+    } else {
+      clearFilter(article);
+    }
+  });
+}
+
+function clearAllFilters() {
+  document.querySelectorAll('[data-filter-action]').forEach(clearFilter);
+}